@@ -0,0 +1,99 @@
+// const express = require('express');
+// const mongoose = require('mongoose');
+// const cors = require('cors');
+// const morgan = require('morgan');
+// const path = require('path');
+// const dotenv = require('dotenv');
+
+import express from 'express';
+import cors from 'cors';
+import morgan from 'morgan';
+import cookieParser from 'cookie-parser';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+// Configure environment variables
+dotenv.config();
+
+const corsOptions = {
+  origin: '*',  // Allow all origins
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Team-Id', 'X-Visitor-Token']
+};
+import authRoutes from './routes/auth.js';
+import userRoutes from './routes/users.js';
+import documentRoutes from './routes/documents.js';
+import modelRoutes from './routes/models.js';
+import chatRoutes from './routes/chat.js';
+import teamRoutes from './routes/teams.js';
+import paymentRoutes from './routes/payments.js';
+import companyRoutes from './routes/companyRoutes.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import ssoRoutes from './routes/sso.js';
+import invitationRoutes from './routes/invitations.js';
+
+
+// Create Express app
+const app = express();
+
+// Get directory name (ES module equivalent of __dirname)
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Parses TRUST_PROXY into an Express `trust proxy` setting: true/false, a
+ * number of proxy hops, or a comma-separated list of addresses or subnets
+ */
+const parseTrustProxy = (value) => {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+};
+
+// Behind a reverse proxy req.ip is the proxy's address, so every client would
+// share the per-IP limits (login, chatbot) unless the proxy is trusted
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+}
+
+// Middleware
+app.use(cors(corsOptions));
+app.use(express.json({ limit: '50mb' }));
+app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+app.use(cookieParser());
+// Request logs would drown out test output
+if (process.env.NODE_ENV !== 'test') {
+  app.use(morgan('dev'));
+}
+app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+
+// Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/documents', documentRoutes);
+app.use('/api/models', modelRoutes);
+app.use('/api/chat', chatRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/companies', companyRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/sso', ssoRoutes);
+app.use('/api/invitations', invitationRoutes);
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  const statusCode = err.statusCode || 500;
+  res.status(statusCode).json({
+    success: false,
+    error: err.message || 'Server Error'
+  });
+});
+
+// Base route
+app.get('/', (req, res) => {
+  res.send('AI Document Chat SaaS API is running');
+});
+
+export default app;
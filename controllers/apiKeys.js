@@ -0,0 +1,158 @@
+import ApiKey from '../models/ApiKey.js';
+import Team from '../models/Team.js';
+import createError from '../utils/errorResponse.js';
+import { API_SCOPES } from '../utils/apiScopes.js';
+import {
+  createApiKey as issueApiKey,
+  planAllowsApiAccess,
+  getBillingAccountId
+} from '../services/apiKeys.js';
+
+/**
+ * Returns the IDs of teams a user can manage API keys for: owned teams and
+ * teams where they are an admin
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Array>} Team IDs
+ */
+const getManagedTeamIds = (user) => Team.find({
+  $or: [
+    { owner: user.id },
+    { members: { $elemMatch: { user: user.id, role: 'admin' } } }
+  ]
+}).distinct('_id');
+
+/**
+ * @desc    Get API keys of the user and of the teams they manage
+ * @route   GET /api/api-keys
+ * @access  Private
+ */
+export const getApiKeys = async (req, res, next) => {
+  try {
+    const teamIds = await getManagedTeamIds(req.user);
+
+    const apiKeys = await ApiKey.find({
+      $or: [
+        { user: req.user.id },
+        { team: { $in: teamIds } }
+      ]
+    })
+      .sort('-createdAt')
+      .populate('user', 'name email');
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Create API key
+ * @route   POST /api/api-keys
+ * @access  Private
+ */
+export const createApiKey = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresInDays, team } = req.body;
+
+    if (!name) {
+      return next(createError('Please provide a key name', 400));
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return next(createError(`Please provide scopes, from: ${API_SCOPES.join(', ')}`, 400));
+    }
+
+    const unknownScopes = scopes.filter(scope => !API_SCOPES.includes(scope));
+    if (unknownScopes.length > 0) {
+      return next(createError(`Unknown scopes: ${unknownScopes.join(', ')}`, 400));
+    }
+
+    let expiresAt;
+    if (expiresInDays !== undefined) {
+      const days = Number(expiresInDays);
+      if (!Number.isInteger(days) || days < 1) {
+        return next(createError('expiresInDays must be a positive whole number', 400));
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    // Team keys are created for the user's active team, by its owner or an admin
+    let teamId;
+    if (team) {
+      const managed = await getManagedTeamIds(req.user);
+      if (!req.user.activeTeamId || !managed.some(id => id.toString() === req.user.activeTeamId.toString())) {
+        return next(createError('Only team owners and admins can create team API keys', 403));
+      }
+      teamId = req.user.activeTeamId;
+    }
+
+    // Check if the plan covering the key includes API access
+    const accountId = await getBillingAccountId({ user: req.user.id, team: teamId });
+    if (!(await planAllowsApiAccess(accountId))) {
+      return next(createError('Upgrade to a plan with API access to create API keys', 403));
+    }
+
+    const { apiKey, key } = await issueApiKey({
+      name,
+      user: req.user.id,
+      team: teamId,
+      scopes,
+      expiresAt
+    });
+
+    // The key itself is only returned once
+    res.status(201).json({
+      success: true,
+      data: {
+        ...apiKey.toObject(),
+        keyHash: undefined,
+        key
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Revoke API key
+ * @route   DELETE /api/api-keys/:id
+ * @access  Private
+ */
+export const revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return next(createError(`API key not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure user created the key or manages its team
+    const isCreator = apiKey.user.toString() === req.user.id;
+    const managesTeam = apiKey.team &&
+      (await getManagedTeamIds(req.user)).some(id => id.toString() === apiKey.team.toString());
+
+    if (!isCreator && !managesTeam) {
+      return next(createError('Not authorized to revoke this API key', 403));
+    }
+
+    if (apiKey.revokedAt) {
+      return next(createError('API key is already revoked', 400));
+    }
+
+    apiKey.revokedAt = Date.now();
+    apiKey.revokedBy = req.user.id;
+    await apiKey.save();
+
+    res.status(200).json({
+      success: true,
+      data: apiKey
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,47 +1,132 @@
+import crypto from 'crypto';
 import User from '../models/User.js';
+import SsoConnection from '../models/SsoConnection.js';
 import createError from '../utils/errorResponse.js';
+import {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  setSessionTeam,
+  getActiveSessions
+} from '../services/sessions.js';
+import { sendEmail } from '../services/email/index.js';
+import { passwordResetEmail, clientUrl } from '../services/email/templates.js';
+import { sendVerificationEmail } from '../services/verification.js';
+import {
+  createChallengeToken,
+  verifyChallengeToken,
+  verifySecondFactor
+} from '../services/twoFactor.js';
+import {
+  checkLoginThrottle,
+  recordLoginFailure,
+  resetLoginFailures
+} from '../services/loginThrottle.js';
+import { startSsoLogin, completeSsoLogin, exchangeSsoLoginCode } from '../services/sso.js';
+import { findOpenInvitation, acceptInvitation } from '../services/invitations.js';
+import { isMemberOfTeam } from '../services/teams.js';
+
+const REFRESH_COOKIE = 'refreshToken';
 
 /**
- * Helper function to get token from model, create cookie and send response
- * @param {Object} user - User object
- * @param {number} statusCode - HTTP status code
- * @param {Object} res - Express response object
+ * Options for the refresh token cookie
+ * @param {Date} expires - When the session expires, omitted when clearing
+ * @returns {Object} Cookie options
  */
-const sendTokenResponse = (user, statusCode, res) => {
-  // Create token
-  const token = user.getSignedJwtToken();
-
+const refreshCookieOptions = (expires) => {
   const options = {
-    expires: new Date(
-      Date.now() + process.env.JWT_COOKIE_EXPIRE * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true
+    httpOnly: true,
+    sameSite: 'strict',
+    // Only sent to the auth endpoints that read it
+    path: '/api/auth'
   };
 
+  if (expires) {
+    options.expires = expires;
+  }
+
   // Use secure flag in production
   if (process.env.NODE_ENV === 'production') {
     options.secure = true;
   }
 
+  return options;
+};
+
+/**
+ * Reads the refresh token from the cookie or the request body
+ * @param {Object} req - Express request object
+ * @returns {string|undefined} Refresh token
+ */
+const getRefreshToken = (req) => req.cookies?.[REFRESH_COOKIE] || req.body.refreshToken;
+
+/**
+ * Helper function to get tokens for a session, set the refresh cookie and send response
+ * @param {Object} user - User object
+ * @param {Object} session - Session the tokens belong to
+ * @param {string} refreshToken - Refresh token for the session
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} res - Express response object
+ */
+const sendSessionTokens = (user, session, refreshToken, statusCode, res) => {
+  // Create short-lived access token, keeping the team the session switched to
+  const token = user.getSignedJwtToken(session._id, session.activeTeam);
+
   // Remove password from response
   user.password = undefined;
 
   res
     .status(statusCode)
+    .cookie(REFRESH_COOKIE, refreshToken, refreshCookieOptions(session.expiresAt))
     .json({
       success: true,
       token,
+      refreshToken,
       data: user
     });
 };
 
+/**
+ * Helper function to start a session for a user and send its tokens
+ * @param {Object} user - User object
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const sendTokenResponse = async (user, statusCode, req, res) => {
+  const { session, refreshToken } = await createSession(user, req);
+  sendSessionTokens(user, session, refreshToken, statusCode, res);
+};
+
+/**
+ * Helper function to finish a password or SSO login
+ * Users with 2FA get a challenge token for the second step instead of a session
+ * @param {Object} user - User who passed the password check
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const sendLoginResponse = async (user, statusCode, req, res) => {
+  if (user.twoFactorEnabled) {
+    return res.status(statusCode).json({
+      success: true,
+      twoFactorRequired: true,
+      challengeToken: createChallengeToken(user),
+      data: {}
+    });
+  }
+
+  await sendTokenResponse(user, statusCode, req, res);
+};
+
 /**
  * @desc    Register user
  * @route   POST /api/auth/register
  * @access  Public
  */export const register = async (req, res, next) => {
   try {
-    const { name, email, password, userType, businessName, businessSize } = req.body;
+    const { name, email, password, userType, businessName, businessSize, inviteToken } = req.body;
 
     // Check if email already exists
     const existingUser = await User.findOne({ email });
@@ -49,6 +134,15 @@ const sendTokenResponse = (user, statusCode, res) => {
       return next(createError('Email already exists', 400));
     }
 
+    // Signing up through a team invitation joins the team right away
+    let invitation;
+    if (inviteToken) {
+      invitation = await findOpenInvitation(inviteToken);
+      if (String(email).trim().toLowerCase() !== invitation.email) {
+        return next(createError('This invitation was sent to a different email address', 403));
+      }
+    }
+
     // Create user
     const userData = {
       name,
@@ -69,8 +163,20 @@ const sendTokenResponse = (user, statusCode, res) => {
 
     const user = await User.create(userData);
 
+    if (invitation) {
+      // The invitation link proves the address, so no verification email is needed
+      await acceptInvitation(invitation, user);
+    } else {
+      // Signup still succeeds if the email can't be sent; the user can ask for a resend
+      try {
+        await sendVerificationEmail(user);
+      } catch (err) {
+        console.error('Verification email error:', err.message);
+      }
+    }
+
     // Send token response
-    sendTokenResponse(user, 201, res);
+    await sendTokenResponse(user, 201, req, res);
   } catch (err) {
     console.error('Registration error:', err.message);
     
@@ -81,7 +187,7 @@ const sendTokenResponse = (user, statusCode, res) => {
     }
     
     // Handle other errors
-    next(createError(err.message || 'Server Error', 500));
+    next(createError(err.message || 'Server Error', err.statusCode || 500));
   }
 };
 
@@ -99,62 +205,396 @@ export const login = async (req, res, next) => {
       return next(createError('Please provide an email and password', 400));
     }
 
-    // Check for user
-    const user = await User.findOne({ email }).select('+password');
+    // Refuse while the account or IP is locked out or must wait after failures
+    const throttled = await checkLoginThrottle({ email, ip: req.ip });
 
-    if (!user) {
-      return next(createError('Invalid credentials', 401));
+    if (throttled) {
+      res.set('Retry-After', Math.ceil(throttled.retryAfterMs / 1000));
+      return next(createError(throttled.message, 429));
     }
 
+    // Check for user
+    const user = await User.findOne({ email }).select('+password');
+
     // Check if password matches
-    const isMatch = await user.matchPassword(password);
+    const isMatch = user ? await user.matchPassword(password) : false;
 
     if (!isMatch) {
+      await recordLoginFailure({ email, ip: req.ip, user });
       return next(createError('Invalid credentials', 401));
     }
 
+    // With 2FA the counter is cleared once the second step succeeds
+    if (!user.twoFactorEnabled) {
+      await resetLoginFailures(email);
+    }
+
     // Update last active timestamp
     user.lastActiveAt = Date.now();
     await user.save({ validateBeforeSave: false });
 
-    // Send token response
-    sendTokenResponse(user, 200, res);
+    // Send tokens, or a 2FA challenge
+    await sendLoginResponse(user, 200, req, res);
   } catch (err) {
     next(err);
   }
 };
+
 /**
- * @desc    Log user out / clear cookie
+ * @desc    Complete login with a 2FA code or recovery code
+ * @route   POST /api/auth/login/2fa
+ * @access  Public
+ */
+export const loginTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = verifyChallengeToken(challengeToken);
+
+    const user = await User.findById(userId)
+      .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!user || !user.twoFactorEnabled) {
+      return next(createError('Invalid or expired challenge token', 401));
+    }
+
+    // Codes are guessable, so they count towards the same lockout as passwords
+    const throttled = await checkLoginThrottle({ email: user.email, ip: req.ip });
+
+    if (throttled) {
+      res.set('Retry-After', Math.ceil(throttled.retryAfterMs / 1000));
+      return next(createError(throttled.message, 429));
+    }
+
+    try {
+      await verifySecondFactor(user, { code, recoveryCode });
+    } catch (err) {
+      if (err.statusCode === 401) {
+        await recordLoginFailure({ email: user.email, ip: req.ip, user });
+      }
+      throw err;
+    }
+
+    await resetLoginFailures(user.email);
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Start SSO login / redirect to the business's identity provider
+ * @route   GET /api/auth/sso/:slug/start?login_hint=
+ * @access  Public
+ */
+export const ssoStart = async (req, res, next) => {
+  try {
+    const connection = await SsoConnection.findOne({ slug: req.params.slug, enabled: true });
+
+    if (!connection) {
+      return next(createError(`SSO connection not found: ${req.params.slug}`, 404));
+    }
+
+    const authorizationUrl = await startSsoLogin(connection, { loginHint: req.query.login_hint });
+
+    res.redirect(authorizationUrl);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    SSO callback from the identity provider
+ *          Redirects to the app with a one-time login code, or an error
+ * @route   GET /api/auth/sso/callback
+ * @access  Public
+ */
+export const ssoCallback = async (req, res) => {
+  const { state, code, error, error_description: errorDescription } = req.query;
+
+  try {
+    if (error) {
+      throw createError(errorDescription || error, 401);
+    }
+
+    const loginCode = await completeSsoLogin({ state, code });
+
+    res.redirect(clientUrl(`/sso/complete?code=${encodeURIComponent(loginCode)}`));
+  } catch (err) {
+    console.error('SSO login error:', err.message);
+    res.redirect(clientUrl(`/sso/complete?error=${encodeURIComponent(err.message)}`));
+  }
+};
+
+/**
+ * @desc    Exchange an SSO login code for tokens
+ * @route   POST /api/auth/sso/exchange
+ * @access  Public
+ */
+export const ssoExchange = async (req, res, next) => {
+  try {
+    const user = await exchangeSsoLoginCode(req.body.code);
+
+    // The IdP stands in for the password, not for the user's own 2FA
+    await sendLoginResponse(user, 200, req, res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Exchange a refresh token for new tokens
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+export const refresh = async (req, res, next) => {
+  try {
+    const { session, refreshToken } = await rotateRefreshToken(getRefreshToken(req), req);
+
+    const user = await User.findById(session.user);
+
+    if (!user) {
+      return next(createError('User not found', 401));
+    }
+
+    sendSessionTokens(user, session, refreshToken, 200, res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Log user out / revoke session and clear cookie
  * @route   POST /api/auth/logout
  * @access  Private
  */
 export const logout = async (req, res, next) => {
   try {
-    // If you have any server-side session cleanup, do it here
-    console.log('User logged out');
-    
+    await revokeSession(req.sessionId, req.user.id, 'logout');
+
+    res
+      .status(200)
+      .clearCookie(REFRESH_COOKIE, refreshCookieOptions())
+      .json({
+        success: true,
+        message: 'Successfully logged out',
+        data: {}
+      });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Switch the team this session acts in
+ * Returns a new access token carrying the team; refreshed tokens keep it.
+ * A single request can pick another team with the X-Team-Id header.
+ * @route   POST /api/auth/switch-team
+ * @access  Private
+ */
+export const switchTeam = async (req, res, next) => {
+  try {
+    const { teamId } = req.body;
+
+    if (!teamId) {
+      return next(createError("Please provide a team ID, or 'personal' for personal resources", 400));
+    }
+
+    if (teamId !== 'personal' && !(await isMemberOfTeam(teamId, req.user._id))) {
+      return next(createError('You are not a member of this team', 403));
+    }
+
+    const session = await setSessionTeam(req.sessionId, req.user.id, teamId);
+
+    if (!session) {
+      return next(createError('Session expired or revoked', 401));
+    }
+
     res.status(200).json({
       success: true,
-      message: 'Successfully logged out',
-      data: {}
+      token: req.user.getSignedJwtToken(session._id, session.activeTeam),
+      data: { activeTeam: teamId }
     });
   } catch (err) {
-    console.error('Logout error:', err.message);
-    next(createError('Failed to logout properly', 500));
+    next(err);
   }
 };
 
 /**
- * @desc    Get current logged in user
- * @route   GET /api/auth/me
+ * @desc    Get active sessions of logged in user
+ * @route   GET /api/auth/sessions
  * @access  Private
  */
-export const getMe = async (req, res, next) => {
+export const getSessions = async (req, res, next) => {
   try {
-    const user = await User.findById(req.user.id);
+    const sessions = await getActiveSessions(req.user.id);
 
     res.status(200).json({
       success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        ...session.toObject(),
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Revoke one of the logged in user's sessions
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+export const deleteSession = async (req, res, next) => {
+  try {
+    const session = await revokeSession(req.params.id, req.user.id, 'user');
+
+    if (!session) {
+      return next(createError(`Session not found with id of ${req.params.id}`, 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Forgot password / email a reset link
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+export const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return next(createError('Please provide an email', 400));
+    }
+
+    // Same response whether or not the account exists, so emails can't be probed
+    const response = {
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent',
+      data: {}
+    };
+
+    const user = await User.findOne({ email });
+
+    if (!user) {
+      return res.status(200).json(response);
+    }
+
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendEmail({
+        to: user.email,
+        ...passwordResetEmail({
+          name: user.name,
+          resetUrl: clientUrl(`/reset-password/${resetToken}`),
+          expiresInMinutes: Math.round((user.resetPasswordExpire - Date.now()) / 60000)
+        })
+      });
+    } catch (err) {
+      console.error('Password reset email error:', err.message);
+
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      return next(createError('Email could not be sent', 500));
+    }
+
+    res.status(200).json(response);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Reset password with an emailed token
+ * @route   PUT /api/auth/reset-password/:resettoken
+ * @access  Public
+ */
+export const resetPassword = async (req, res, next) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return next(createError('Please provide a new password', 400));
+    }
+
+    const resetPasswordToken = crypto
+      .createHash('sha256')
+      .update(req.params.resettoken)
+      .digest('hex');
+
+    const user = await User.findOne({
+      resetPasswordToken,
+      resetPasswordExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return next(createError('Invalid or expired reset token', 400));
+    }
+
+    // The token can only be used once
+    user.password = password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save();
+
+    // Sign out everywhere, then start a fresh session on this device
+    await revokeUserSessions(user._id, 'password_reset');
+
+    await sendLoginResponse(user, 200, req, res);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map(val => val.message);
+      return next(createError(messages.join(', '), 400));
+    }
+    next(err);
+  }
+};
+
+/**
+ * @desc    Verify email address with an emailed token
+ * @route   PUT /api/auth/verify-email/:verificationtoken
+ * @access  Public
+ */
+export const verifyEmail = async (req, res, next) => {
+  try {
+    const emailVerificationToken = crypto
+      .createHash('sha256')
+      .update(req.params.verificationtoken)
+      .digest('hex');
+
+    const user = await User.findOne({
+      emailVerificationToken,
+      emailVerificationExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return next(createError('Invalid or expired verification token', 400));
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = Date.now();
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified',
       data: user
     });
   } catch (err) {
@@ -163,30 +603,49 @@ export const getMe = async (req, res, next) => {
 };
 
 /**
- * @desc    Generate API key for user
- * @route   POST /api/auth/api-key
+ * @desc    Resend email verification link
+ * @route   POST /api/auth/verify-email/resend
  * @access  Private
  */
-export const generateApiKey = async (req, res, next) => {
+export const resendVerificationEmail = async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id);
 
-    // Check if user is allowed to generate API key
-    if (user.userType === 'individual' && user.plan === 'free') {
-      return next(createError('Upgrade to a paid plan to access API features', 403));
+    if (user.emailVerified) {
+      return next(createError('Email is already verified', 400));
     }
 
-    // Generate API key
-    const apiKey = user.generateApiKey();
-    
-    // Save user with new API key
-    await user.save();
+    try {
+      await sendVerificationEmail(user);
+    } catch (err) {
+      console.error('Verification email error:', err.message);
+      return next(createError('Email could not be sent', 500));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent',
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get current logged in user
+ * @route   GET /api/auth/me
+ * @access  Private
+ */
+export const getMe = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
 
     res.status(200).json({
       success: true,
-      data: { apiKey }
+      data: user
     });
   } catch (err) {
     next(err);
   }
-}; 
\ No newline at end of file
+};
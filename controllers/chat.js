@@ -2,66 +2,21 @@ import Chat from '../models/Chat.js';
 import AIModel from '../models/AIModel.js';
 import Usage from '../models/Usage.js';
 import createError from '../utils/errorResponse.js';
+import { hasAccess } from '../utils/access.js';
+import { retrieveChunks, buildCitations } from '../services/retrieval.js';
+import { getLLMProvider, streamCompletion, estimateTokens } from '../services/llm/index.js';
+import { buildChatMessages } from '../services/llm/prompt.js';
 
 /**
- * Mock function to simulate AI response generation
- * In a real app, this would integrate with an actual AI service
- * @param {string} prompt - User message
- * @param {Object} model - AI model data
- * @param {string} language - Response language
- * @returns {Promise<string>} AI generated response
- */
-const generateAIResponse = async (prompt, model, language = 'english') => {
-  // Simulate processing time
-  await new Promise(resolve => setTimeout(resolve, 1000));
-  
-  // Simple responses based on language
-  const responses = {
-    english: [
-      `Based on the documents I've been trained on, I can tell you that ${prompt}`,
-      `According to my training data, ${prompt} is related to several key concepts.`,
-      `I've analyzed your question about ${prompt} and found some relevant information.`,
-      `The documents suggest that ${prompt} has several important aspects to consider.`
-    ],
-    hindi: [
-      `मेरे प्रशिक्षण के अनुसार, ${prompt} के बारे में महत्वपूर्ण जानकारी है।`,
-      `${prompt} पर आधारित, मैं आपको कुछ उपयोगी जानकारी दे सकता हूं।`
-    ],
-    arabic: [
-      `بناءً على المستندات التي تدربت عليها، يمكنني إخبارك أن ${prompt}`,
-      `وفقًا لبيانات التدريب الخاصة بي، ${prompt} مرتبط بعدة مفاهيم أساسية.`
-    ],
-    nepali: [
-      `मेरो प्रशिक्षण अनुसार, ${prompt} बारे महत्त्वपूर्ण जानकारी छ।`,
-      `${prompt} को आधारमा, म तपाईंलाई केही उपयोगी जानकारी दिन सक्छु।`
-    ]
-  };
-  
-  // Default to English if language not supported
-  const availableResponses = responses[language] || responses.english;
-  
-  // Randomly select a response template
-  const randomIndex = Math.floor(Math.random() * availableResponses.length);
-  
-  // Calculate mock token count (roughly based on character count)
-  const tokenCount = Math.ceil((prompt.length + availableResponses[randomIndex].length) / 4);
-  
-  return {
-    content: availableResponses[randomIndex],
-    tokenCount
-  };
-};
-
-/**
- * @desc    Get all chat sessions
+ * @desc    Get the user's chat sessions in the active team
  * @route   GET /api/chat
  * @access  Private
  */
 export const getChats = async (req, res, next) => {
   try {
-    const chats = await Chat.find({ user: req.user.id })
+    const chats = await Chat.find({ user: req.user.id, team: req.user.activeTeamId || null })
       .sort('-createdAt')
-      .populate('model', 'name description');
+      .populate('aiModel', 'name description');
 
     res.status(200).json({
       success: true,
@@ -81,7 +36,7 @@ export const getChats = async (req, res, next) => {
 export const getChat = async (req, res, next) => {
   try {
     const chat = await Chat.findById(req.params.id)
-      .populate('model', 'name description')
+      .populate('aiModel', 'name description')
       .populate('user', 'name email');
 
     if (!chat) {
@@ -122,19 +77,16 @@ export const createChat = async (req, res, next) => {
       return next(createError('Model not found', 404));
     }
 
-    // Check if user owns the model or is a team member with access
-    const isOwner = model.user.toString() === req.user.id;
-    const isTeamMember = req.user.team && model.team && 
-                         model.team.toString() === req.user.team.toString();
-    
-    if (!isOwner && !isTeamMember) {
+    // Check if user owns the model, is in the team or it was shared for use
+    if (!hasAccess(model, req.user, 'use')) {
       return next(createError('Not authorized to use this model', 403));
     }
 
     // Create chat session
     const chat = await Chat.create({
       user: req.user.id,
-      model: modelId,
+      team: req.user.activeTeamId,
+      aiModel: modelId,
       title: title || 'New Chat',
       messages: [] // Start with empty messages
     });
@@ -149,80 +101,245 @@ export const createChat = async (req, res, next) => {
 };
 
 /**
- * @desc    Send message to chat
- * @route   POST /api/chat/:id/messages
- * @access  Private
+ * Loads a chat for a new user message and prepares the model's reply:
+ * checks access, adds the message and retrieves the relevant passages
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} { chat, content, provider, messages, citations }
  */
-export const sendMessage = async (req, res, next) => {
-  try {
-    const { content } = req.body;
+const prepareChatTurn = async (req) => {
+  const { content } = req.body;
 
-    if (!content) {
-      return next(createError('Please provide a message', 400));
-    }
+  if (!content) {
+    throw createError('Please provide a message', 400);
+  }
 
-    const chat = await Chat.findById(req.params.id)
-      .populate('model');
+  const chat = await Chat.findById(req.params.id)
+    .populate('aiModel');
 
-    if (!chat) {
-      return next(createError('Chat not found', 404));
-    }
+  if (!chat) {
+    throw createError('Chat not found', 404);
+  }
 
-    // Make sure user owns the chat
-    if (chat.user.toString() !== req.user.id) {
-      return next(createError('Not authorized to send messages in this chat', 403));
-    }
+  // Make sure user owns the chat
+  if (chat.user.toString() !== req.user.id) {
+    throw createError('Not authorized to send messages in this chat', 403);
+  }
 
-    // Add user message to chat
-    chat.messages.push({
-      role: 'user',
-      content
-    });
+  // Access to the model may have been revoked since the chat was created
+  if (!chat.aiModel) {
+    throw createError('Model not found', 404);
+  }
+  if (!hasAccess(chat.aiModel, req.user, 'use')) {
+    throw createError('Not authorized to use this model', 403);
+  }
 
-    // In a real application, here you would:
-    // 1. Call the AI service (OpenAI, etc.) with the model's parameters and the chat history
-    // 2. Get the AI response
-    // 3. Record usage metrics
-    
-    // For now, we'll simulate an AI response
-    const aiResponse = await simulateAIResponse(chat.model, content, chat.messages);
-    
-    // Add AI response to chat
+  // Add user message to chat
+  chat.messages.push({
+    role: 'user',
+    content
+  });
+
+  // Find the passages of the model's documents most relevant to the message
+  const chunks = await retrieveChunks(chat.aiModel, content);
+
+  // Generate the reply with the provider for the model's base model
+  const provider = getLLMProvider(chat.aiModel);
+  const messages = buildChatMessages({
+    model: chat.aiModel,
+    history: chat.messages,
+    chunks,
+    language: chat.language
+  });
+
+  // Cite the document passages the answer was produced from
+  const citations = buildCitations(chunks);
+
+  return { chat, content, provider, messages, citations };
+};
+
+/**
+ * Stores the reply to a chat turn and records its usage
+ * @param {Object} req - Express request object
+ * @param {Object} turn - Result of prepareChatTurn
+ * @param {Object} reply - { content, usage, metadata } - content may be empty if nothing was generated
+ * @returns {Promise<Object|null>} Assistant message, if one was added
+ */
+const saveChatTurn = async (req, { chat, content, provider, citations }, { content: reply, usage, metadata = {} }) => {
+  // Record prompt tokens on the user message and completion tokens on the reply
+  chat.messages[chat.messages.length - 1].tokenCount = usage.promptTokens;
+
+  let assistantMessage = null;
+  if (reply) {
     chat.messages.push({
       role: 'assistant',
-      content: aiResponse.message
+      content: reply,
+      tokenCount: usage.completionTokens,
+      metadata: {
+        citations,
+        provider: provider.name,
+        providerModel: provider.model,
+        ...metadata
+      }
     });
+    assistantMessage = chat.messages[chat.messages.length - 1];
+    chat.lastMessage = reply;
+  }
 
-    // Update chat record
-    chat.lastMessage = aiResponse.message;
-    chat.updatedAt = Date.now();
-    await chat.save();
+  // Update chat record
+  chat.updatedAt = Date.now();
+  await chat.save();
+
+  // Record usage
+  await Usage.create({
+    user: req.user.id,
+    type: 'chat',
+    modelId: chat.aiModel._id,
+    chatId: chat._id,
+    prompt: content,
+    completion: reply,
+    totalTokens: usage.totalTokens,
+    promptTokens: usage.promptTokens,
+    completionTokens: usage.completionTokens,
+    timestamp: Date.now()
+  });
+
+  return assistantMessage;
+};
 
-    // Record usage
-    await Usage.create({
-      user: req.user.id,
-      type: 'chat',
-      modelId: chat.model._id,
-      chatId: chat._id,
-      prompt: content,
-      completion: aiResponse.message,
-      totalTokens: aiResponse.totalTokens,
-      promptTokens: aiResponse.promptTokens,
-      completionTokens: aiResponse.completionTokens,
-      timestamp: Date.now()
+/**
+ * @desc    Send message to chat
+ * @route   POST /api/chat/:id/messages
+ * @access  Private
+ */
+export const sendMessage = async (req, res, next) => {
+  try {
+    const turn = await prepareChatTurn(req);
+
+    const aiResponse = await turn.provider.generate({ messages: turn.messages });
+
+    if (!aiResponse.content || !aiResponse.content.trim()) {
+      return next(createError('The AI model returned an empty reply. Please try again', 502));
+    }
+
+    const message = await saveChatTurn(req, turn, {
+      content: aiResponse.content,
+      usage: aiResponse
     });
 
     res.status(200).json({
       success: true,
       data: {
-        message: {
-          role: 'assistant',
-          content: aiResponse.message
-        },
-        chat
+        message,
+        chat: turn.chat
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Writes a Server-Sent Event to the response
+ * @param {Object} res - Express response object
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * @desc    Send message to chat and stream the reply as Server-Sent Events
+ * @route   POST /api/chat/:id/messages/stream
+ * @access  Private
+ */
+export const streamMessage = async (req, res, next) => {
+  try {
+    const turn = await prepareChatTurn(req);
+    const { provider, messages, citations } = turn;
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Stop generating if the client goes away, but keep what we have
+    const controller = new AbortController();
+    let clientClosed = false;
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        clientClosed = true;
+        controller.abort();
+      }
+    });
+
+    let reply = '';
+    let usage = null;
+    let streamError = null;
+
+    try {
+      for await (const delta of streamCompletion(provider, { messages, signal: controller.signal })) {
+        if (delta.usage) {
+          usage = delta.usage;
+        } else if (delta.content) {
+          reply += delta.content;
+          writeEvent(res, 'token', { content: delta.content });
+        }
+        if (clientClosed) {
+          break;
+        }
+      }
+    } catch (err) {
+      if (!clientClosed) {
+        streamError = err;
       }
+    }
+
+    const partial = clientClosed || Boolean(streamError);
+
+    // Providers don't report usage for interrupted streams
+    if (!usage) {
+      const promptTokens = messages.reduce((total, message) => total + estimateTokens(message.content), 0);
+      const completionTokens = estimateTokens(reply);
+      usage = { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+    }
+
+    const assistantMessage = await saveChatTurn(req, turn, {
+      content: reply,
+      usage,
+      metadata: { partial }
     });
+
+    if (clientClosed) {
+      return;
+    }
+
+    if (streamError) {
+      console.error('Chat stream error:', streamError.message);
+      writeEvent(res, 'error', {
+        error: streamError.message,
+        messageId: assistantMessage?._id
+      });
+    } else {
+      writeEvent(res, 'done', {
+        messageId: assistantMessage?._id,
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens,
+        totalTokens: usage.totalTokens,
+        citations
+      });
+    }
+
+    res.end();
   } catch (err) {
+    // Once streaming has started errors can only be reported as events
+    if (res.headersSent) {
+      writeEvent(res, 'error', { error: err.message });
+      return res.end();
+    }
     next(err);
   }
 };
@@ -291,39 +408,3 @@ export const updateChat = async (req, res, next) => {
     next(err);
   }
 };
-
-/**
- * Helper function to simulate AI response
- * In a real app, this would call OpenAI API or similar
- */
-const simulateAIResponse = async (model, userMessage, chatHistory) => {
-  // Mock implementation - in real app, call the AI API
-  const promptTokens = Math.ceil(userMessage.length / 4);
-  const completionTokens = Math.ceil(userMessage.length / 2);
-  
-  // Build a response based on model type and user message
-  let aiMessage = `This is a simulated response from ${model.name}. `;
-  
-  if (userMessage.includes('?')) {
-    aiMessage += 'Let me answer your question. Based on the documents I was trained on, ';
-    aiMessage += 'I would suggest considering multiple factors in your analysis.';
-  } else {
-    aiMessage += 'I understand your message. Here\'s what I can tell you based on my training: ';
-    aiMessage += 'The documents you\'ve provided contain various insights that might be useful.';
-  }
-  
-  // Add some contextual response based on chat history length
-  if (chatHistory.length > 4) {
-    aiMessage += ' Based on our conversation so far, I think we\'re making good progress in understanding this topic.';
-  }
-  
-  // Simulate processing delay
-  await new Promise(resolve => setTimeout(resolve, 500));
-  
-  return {
-    message: aiMessage,
-    promptTokens,
-    completionTokens,
-    totalTokens: promptTokens + completionTokens
-  };
-}; 
\ No newline at end of file
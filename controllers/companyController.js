@@ -1,16 +1,65 @@
 import Company from '../models/Company.js';
 import CompanyContext from '../models/CompanyContext.js';
+import CompanyConversation from '../models/CompanyConversation.js';
 import asyncHandler from '../middleware/asyncHandler.js';
 import createError from '../utils/errorResponse.js';
+import { runAsSystem, runWithTenant } from '../utils/tenantContext.js';
+import { answerVisitorMessage, findVisitorConversation } from '../services/companyChatbot.js';
 import mongoose from 'mongoose';
 
+// What the hosted chatbot page may show to anyone with the link
+const PUBLIC_FIELDS = 'companyId name logoUrl brandColor chatbotUrl trainingStatus';
+
+// Fields owners can change directly; the context is versioned through
+// POST /api/companies/:companyId/context instead
+const UPDATABLE_FIELDS = ['name', 'documentName', 'chatbotUrl', 'logoUrl', 'brandColor'];
+
+/**
+ * Loads a company the signed-in user may manage: they created it, or it
+ * belongs to their business account
+ * @param {Object} req - Request with params.companyId and user
+ * @returns {Promise<Object>} Company
+ */
+const findManagedCompany = async (req) => {
+  // Scoped to the request's tenant, so other businesses' companies are not found
+  const company = await Company.findOne({ companyId: req.params.companyId });
+
+  if (!company) {
+    throw createError(`Company with ID ${req.params.companyId} not found`, 404);
+  }
+
+  if (company.owner?.toString() !== req.user.id && company.tenant?.toString() !== req.user.id) {
+    throw createError('Not authorized to manage this company', 403);
+  }
+
+  return company;
+};
+
 /**
- * @desc    Get a company by ID
+ * Loads a company for its public chatbot, whichever tenant it belongs to
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Object>} Company
+ */
+const findChatbotCompany = async (companyId) => {
+  const company = await runAsSystem(() => Company.findOne({ companyId }));
+
+  if (!company) {
+    throw createError(`Company with ID ${companyId} not found`, 404);
+  }
+
+  return company;
+};
+
+/**
+ * @desc    Get the public details of a company for its chatbot page
  * @route   GET /api/companies/:companyId
  * @access  Public
  */
 export const getCompanyById = asyncHandler(async (req, res, next) => {
-  const company = await Company.findOne({ companyId: req.params.companyId });
+  // Looked up by ID across tenants, but only public fields are read
+  const company = await runAsSystem(() =>
+    Company.findOne({ companyId: req.params.companyId }).select(PUBLIC_FIELDS)
+  );
 
   if (!company) {
     return next(createError(`Company with ID ${req.params.companyId} not found`, 404));
@@ -18,7 +67,14 @@ export const getCompanyById = asyncHandler(async (req, res, next) => {
 
   res.status(200).json({
     success: true,
-    data: company
+    data: {
+      companyId: company.companyId,
+      name: company.name,
+      logoUrl: company.logoUrl,
+      brandColor: company.brandColor,
+      chatbotUrl: company.chatbotUrl,
+      trainingStatus: company.trainingStatus
+    }
   });
 });
 
@@ -35,8 +91,8 @@ export const createCompany = asyncHandler(async (req, res, next) => {
     return next(createError('Please provide companyId, name, documentContext, and chatbotUrl', 400));
   }
 
-  // Check if company already exists
-  const existingCompany = await Company.findOne({ companyId });
+  // Company IDs are unique across tenants
+  const existingCompany = await runAsSystem(() => Company.exists({ companyId }));
   if (existingCompany) {
     return next(createError(`Company with ID ${companyId} already exists`, 400));
   }
@@ -49,6 +105,7 @@ export const createCompany = asyncHandler(async (req, res, next) => {
     // Create company
     const company = await Company.create([{
       companyId,
+      owner: req.user._id,
       name,
       documentName,
       documentContext,
@@ -81,23 +138,18 @@ export const createCompany = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Update company information and document context
+ * @desc    Update company information and branding
  * @route   PUT /api/companies/:companyId
- * @access  Private
+ * @access  Private (Company owner only)
  */
 export const updateCompany = asyncHandler(async (req, res, next) => {
-  let company = await Company.findOne({ companyId: req.params.companyId });
+  const company = await findManagedCompany(req);
 
-  if (!company) {
-    return next(createError(`Company with ID ${req.params.companyId} not found`, 404));
-  }
+  UPDATABLE_FIELDS
+    .filter(field => req.body[field] !== undefined)
+    .forEach(field => company.set(field, req.body[field]));
 
-  // Update the company
-  company = await Company.findOneAndUpdate(
-    { companyId: req.params.companyId },
-    req.body,
-    { new: true, runValidators: true }
-  );
+  await company.save();
 
   res.status(200).json({
     success: true,
@@ -106,17 +158,15 @@ export const updateCompany = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Delete a company
+ * @desc    Delete a company with its contexts and conversations
  * @route   DELETE /api/companies/:companyId
- * @access  Private
+ * @access  Private (Company owner only)
  */
 export const deleteCompany = asyncHandler(async (req, res, next) => {
-  const company = await Company.findOne({ companyId: req.params.companyId });
-
-  if (!company) {
-    return next(createError(`Company with ID ${req.params.companyId} not found`, 404));
-  }
+  const company = await findManagedCompany(req);
 
+  await CompanyContext.deleteMany({ company_id: company.companyId });
+  await CompanyConversation.deleteMany({ company_id: company.companyId });
   await company.deleteOne();
 
   res.status(200).json({
@@ -128,7 +178,7 @@ export const deleteCompany = asyncHandler(async (req, res, next) => {
 /**
  * @desc    Update company training status
  * @route   PUT /api/companies/:companyId/training-status
- * @access  Private
+ * @access  Private (Company owner only)
  */
 export const updateTrainingStatus = asyncHandler(async (req, res, next) => {
   const { status } = req.body;
@@ -137,15 +187,10 @@ export const updateTrainingStatus = asyncHandler(async (req, res, next) => {
     return next(createError('Please provide a valid training status (in_progress, completed, failed)', 400));
   }
 
-  const company = await Company.findOneAndUpdate(
-    { companyId: req.params.companyId },
-    { trainingStatus: status },
-    { new: true, runValidators: true }
-  );
+  const company = await findManagedCompany(req);
 
-  if (!company) {
-    return next(createError(`Company with ID ${req.params.companyId} not found`, 404));
-  }
+  company.trainingStatus = status;
+  await company.save();
 
   res.status(200).json({
     success: true,
@@ -156,18 +201,12 @@ export const updateTrainingStatus = asyncHandler(async (req, res, next) => {
 /**
  * @desc    Get the latest context for a company
  * @route   GET /api/companies/:companyId/context
- * @access  Public
+ * @access  Private (Company owner only)
  */
 export const getCompanyContext = asyncHandler(async (req, res, next) => {
   console.log(`Attempting to fetch context for company ID: ${req.params.companyId}`);
   
-  // First check if company exists
-  const company = await Company.findOne({ companyId: req.params.companyId });
-
-  if (!company) {
-    console.error(`Company with ID ${req.params.companyId} not found in database`);
-    return next(createError(`Company with ID ${req.params.companyId} not found`, 404));
-  }
+  const company = await findManagedCompany(req);
   
   console.log(`Company found: ${company.name} (ID: ${company.companyId})`);
 
@@ -227,7 +266,7 @@ export const getCompanyContext = asyncHandler(async (req, res, next) => {
 /**
  * @desc    Update company context with a new version
  * @route   POST /api/companies/:companyId/context
- * @access  Private
+ * @access  Private (Company owner only)
  */
 export const updateCompanyContext = asyncHandler(async (req, res, next) => {
   const { context } = req.body;
@@ -236,11 +275,7 @@ export const updateCompanyContext = asyncHandler(async (req, res, next) => {
     return next(createError('Please provide the context to update', 400));
   }
 
-  // Check if company exists
-  const company = await Company.findOne({ companyId: req.params.companyId });
-  if (!company) {
-    return next(createError(`Company with ID ${req.params.companyId} not found`, 404));
-  }
+  const company = await findManagedCompany(req);
 
   // Start a session for transaction
   const session = await mongoose.startSession();
@@ -307,16 +342,16 @@ export const updateCompanyContext = asyncHandler(async (req, res, next) => {
  * @access  Private
  */
 export const storeSummary = asyncHandler(async (req, res, next) => {
-  const { userId, fileName, summary } = req.body;
+  const { fileName, summary } = req.body;
   
-  if (!userId || !fileName || !summary) {
-    return next(createError('Please provide userId, fileName, and summary', 400));
+  if (!fileName || !summary) {
+    return next(createError('Please provide fileName and summary', 400));
   }
 
-  // Generate a unique companyId based on userId and a timestamp
+  // Generate a unique companyId based on the signed-in user and a timestamp
   const timestamp = new Date().getTime();
   const randomString = Math.random().toString(36).substring(2, 8);
-  const companyId = `${userId}-${timestamp}-${randomString}`;
+  const companyId = `${req.user.id}-${timestamp}-${randomString}`;
   
   // Generate a URL-friendly slug from the file name
   const companySlug = fileName.replace(/\s+/g, '-').replace(/[^a-zA-Z0-9-]/g, '').toLowerCase();
@@ -332,6 +367,7 @@ export const storeSummary = asyncHandler(async (req, res, next) => {
     // Create company with the summary as documentContext
     const company = await Company.create([{
       companyId,
+      owner: req.user._id,
       name: fileName,
       documentName: fileName,
       documentContext: summary,
@@ -366,4 +402,182 @@ export const storeSummary = asyncHandler(async (req, res, next) => {
     session.endSession();
     return next(error);
   }
-}); 
\ No newline at end of file
+}); 
+/**
+ * @desc    Diagnose context issues for a company
+ * @route   GET /api/companies/:companyId/context-diagnostic
+ * @access  Private (Admin only)
+ */
+export const getContextDiagnostic = asyncHandler(async (req, res, next) => {
+  const { companyId } = req.params;
+
+  // Support work: admins look at companies of any tenant
+  const { company, contexts } = await runAsSystem(async () => {
+    const company = await Company.findOne({ companyId });
+    const contexts = company
+      ? await CompanyContext.find({ company_id: companyId }).sort({ version: -1 })
+      : [];
+    return { company, contexts };
+  });
+
+  if (!company) {
+    return res.status(404).json({
+      success: false,
+      error: 'Company not found',
+      diagnostic: {
+        companyId,
+        exists: false,
+        action: 'Company must be created first'
+      }
+    });
+  }
+
+  const hasDocumentContext = !!(company.documentContext && company.documentContext.length > 100);
+
+  const diagnostic = {
+    companyId,
+    exists: true,
+    companyName: company.name,
+    owner: company.owner,
+    tenant: company.tenant,
+    hasDocumentContext,
+    documentContextLength: company.documentContext ? company.documentContext.length : 0,
+    contextsCount: contexts.length,
+    activeContexts: contexts.filter(c => c.isActive).length,
+    contexts: contexts.map(c => ({
+      id: c._id,
+      version: c.version,
+      isActive: c.isActive,
+      contextLength: c.context ? c.context.length : 0,
+      createdAt: c.createdAt
+    }))
+  };
+
+  // No context record, but the company has one to create it from
+  if (contexts.length === 0 && hasDocumentContext) {
+    diagnostic.suggestion = 'CREATE_CONTEXT';
+    diagnostic.action = 'POST to /api/companies/' + companyId + '/context with the documentContext';
+  }
+  // No context anywhere
+  else if (contexts.length === 0 && !hasDocumentContext) {
+    diagnostic.suggestion = 'UPLOAD_DOCUMENT';
+    diagnostic.action = 'Upload a document and train the model again';
+  }
+  else if (contexts.filter(c => c.isActive).length > 1) {
+    diagnostic.suggestion = 'FIX_ACTIVE_CONTEXTS';
+    diagnostic.action = 'Multiple active contexts found, should be fixed';
+  }
+
+  res.status(200).json({
+    success: true,
+    diagnostic
+  });
+});
+
+/**
+ * @desc    Send a message to a company's chatbot as an anonymous visitor
+ * @route   POST /api/companies/:companyId/chat
+ * @access  Public (visitors are identified by the X-Visitor-Token header)
+ */
+export const sendChatbotMessage = asyncHandler(async (req, res, next) => {
+  const company = await findChatbotCompany(req.params.companyId);
+
+  let result;
+  try {
+    // Everything the visitor touches stays in the company's tenant
+    result = await runWithTenant(company.tenant ?? null, () => answerVisitorMessage(company, {
+      token: req.get('X-Visitor-Token'),
+      content: req.body.content,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    }));
+  } catch (error) {
+    if (error.retryAfterMs) {
+      res.set('Retry-After', Math.ceil(error.retryAfterMs / 1000));
+    }
+    return next(error);
+  }
+
+  const { conversation, message, token } = result;
+
+  res.status(token ? 201 : 200).json({
+    success: true,
+    data: {
+      // Only sent when a new conversation was started; the visitor keeps it
+      ...(token ? { visitorToken: token } : {}),
+      conversationId: conversation._id,
+      message
+    }
+  });
+});
+
+/**
+ * @desc    Get the visitor's own conversation with a company's chatbot
+ * @route   GET /api/companies/:companyId/chat
+ * @access  Public (visitors are identified by the X-Visitor-Token header)
+ */
+export const getChatbotConversation = asyncHandler(async (req, res, next) => {
+  const company = await findChatbotCompany(req.params.companyId);
+
+  const conversation = await runWithTenant(company.tenant ?? null, () =>
+    findVisitorConversation(company.companyId, req.get('X-Visitor-Token'))
+  );
+
+  if (!conversation) {
+    return next(createError('Conversation not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      conversationId: conversation._id,
+      messages: conversation.messages.map(({ role, content, timestamp }) => ({ role, content, timestamp }))
+    }
+  });
+});
+
+/**
+ * @desc    Get the visitor conversations of a company's chatbot
+ * @route   GET /api/companies/:companyId/conversations
+ * @access  Private (Company owner only)
+ */
+export const getCompanyConversations = asyncHandler(async (req, res, next) => {
+  const company = await findManagedCompany(req);
+
+  const conversations = await CompanyConversation.find({ company_id: company.companyId })
+    .select('-messages')
+    .sort('-lastMessageAt');
+
+  res.status(200).json({
+    success: true,
+    count: conversations.length,
+    data: conversations
+  });
+});
+
+/**
+ * @desc    Get one visitor conversation of a company's chatbot
+ * @route   GET /api/companies/:companyId/conversations/:conversationId
+ * @access  Private (Company owner only)
+ */
+export const getCompanyConversation = asyncHandler(async (req, res, next) => {
+  const company = await findManagedCompany(req);
+
+  if (!mongoose.isValidObjectId(req.params.conversationId)) {
+    return next(createError('Conversation not found', 404));
+  }
+
+  const conversation = await CompanyConversation.findOne({
+    _id: req.params.conversationId,
+    company_id: company.companyId
+  });
+
+  if (!conversation) {
+    return next(createError('Conversation not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: conversation
+  });
+});
@@ -2,8 +2,13 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import Document from '../models/Document.js';
 import createError from '../utils/errorResponse.js';
-import { upload, deleteFile } from '../utils/fileUpload.js';
+import { upload, deleteFile, verifyFileSignature } from '../utils/fileUpload.js';
 import Usage from '../models/Usage.js';
+import { enqueueDocumentProcessing } from '../services/documentProcessor.js';
+import { removeDocumentIndex } from '../services/retrieval.js';
+import { shareResource, unshareResource } from '../services/sharing.js';
+import { hasAccess, buildAccessQuery } from '../utils/access.js';
+import { runWithTenant } from '../utils/tenantContext.js';
 
 // Get __dirname equivalent in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -18,7 +23,9 @@ const documentUpload = upload.single('document');
  * @access  Private
  */
 export const uploadDocument = async (req, res, next) => {
-  documentUpload(req, res, async (err) => {
+  // Multer calls back from the request stream's events, which may fire outside
+  // the tenant context protect started, so the handler re-enters it
+  documentUpload(req, res, (err) => runWithTenant(req.tenantId, async () => {
     try {
       if (err) {
         return next(createError(err.message, 400));
@@ -36,6 +43,13 @@ export const uploadDocument = async (req, res, next) => {
         return next(createError('Please provide a title for the document', 400));
       }
 
+      // Make sure the file contents match the type the client declared
+      const signatureMatches = await verifyFileSignature(req.file.path, req.file.mimetype);
+      if (!signatureMatches) {
+        deleteFile(req.file.path);
+        return next(createError('File contents do not match the declared file type', 400));
+      }
+
       // Create document
       const document = await Document.create({
         title,
@@ -45,13 +59,13 @@ export const uploadDocument = async (req, res, next) => {
         fileSize: req.file.size,
         fileType: req.file.mimetype,
         user: req.user.id,
-        team: req.user.teamId
+        team: req.user.activeTeamId
       });
 
       // Track usage
       await Usage.create({
         user: req.user.id,
-        team: req.user.teamId,
+        team: req.user.activeTeamId,
         type: 'document_upload',
         resourceId: document._id,
         resourceModel: 'Document',
@@ -62,6 +76,9 @@ export const uploadDocument = async (req, res, next) => {
         userAgent: req.headers['user-agent']
       });
 
+      // Text extraction runs in the background
+      await enqueueDocumentProcessing(document._id);
+
       res.status(201).json({
         success: true,
         data: document
@@ -73,32 +90,22 @@ export const uploadDocument = async (req, res, next) => {
       }
       next(error);
     }
-  });
+  }));
 };
 
 /**
  * @desc    Get all documents
- * @route   GET /api/documents
+ * @route   GET /api/documents?scope=mine|shared|public|all
  * @access  Private
  */
 export const getDocuments = async (req, res, next) => {
   try {
-    // Base query - get documents for current user
-    let query = {
-      user: req.user.id
-    };
-
-    // Add team filter if user is a team member
-    if (req.user.isTeamMember && req.user.teamId) {
-      query = {
-        $or: [
-          { user: req.user.id },
-          { team: req.user.teamId }
-        ]
-      };
-    }
+    // The active team's documents by default, or those shared with the user
+    const query = buildAccessQuery(req.user, req.query.scope);
 
-    const documents = await Document.find(query).sort('-createdAt');
+    const documents = await Document.find(query)
+      .select('-pages')
+      .sort('-createdAt');
 
     res.status(200).json({
       success: true,
@@ -123,11 +130,8 @@ export const getDocument = async (req, res, next) => {
       return next(createError(`Document not found with id of ${req.params.id}`, 404));
     }
 
-    // Make sure user owns the document or is in the team
-    if (
-      document.user.toString() !== req.user.id && 
-      (!req.user.teamId || document.team?.toString() !== req.user.teamId.toString())
-    ) {
+    // Make sure user owns the document, is in the team or it was shared with them
+    if (!hasAccess(document, req.user, 'read')) {
       return next(createError('Not authorized to access this document', 403));
     }
 
@@ -155,11 +159,16 @@ export const updateDocument = async (req, res, next) => {
       return next(createError(`Document not found with id of ${req.params.id}`, 404));
     }
 
-    // Make sure user owns the document
-    if (document.user.toString() !== req.user.id) {
+    // Make sure user owns the document or is in the team
+    if (!hasAccess(document, req.user, 'edit')) {
       return next(createError('Not authorized to update this document', 403));
     }
 
+    // Only the owner decides who outside the team can see the document
+    if (isPublic !== undefined && document.user.toString() !== req.user.id) {
+      return next(createError('Only the document owner can change its visibility', 403));
+    }
+
     // Update document
     document = await Document.findByIdAndUpdate(
       req.params.id, 
@@ -189,15 +198,16 @@ export const deleteDocument = async (req, res, next) => {
       return next(createError(`Document not found with id of ${req.params.id}`, 404));
     }
 
-    // Make sure user owns the document
-    if (document.user.toString() !== req.user.id) {
+    // Make sure user owns the document or is in the team
+    if (!hasAccess(document, req.user, 'edit')) {
       return next(createError('Not authorized to delete this document', 403));
     }
 
     // Delete file from storage
     deleteFile(document.filePath);
 
-    // Delete document from database
+    // Delete document and its retrieval index from database
+    await removeDocumentIndex(document._id);
     await document.deleteOne();
 
     res.status(200).json({
@@ -207,4 +217,68 @@ export const deleteDocument = async (req, res, next) => {
   } catch (err) {
     next(err);
   }
-}; 
\ No newline at end of file
+}; 
+/**
+ * @desc    Share document with users or teams
+ * @route   POST /api/documents/:id/share
+ * @access  Private
+ */
+export const shareDocument = async (req, res, next) => {
+  try {
+    const { emails, teamIds, permission } = req.body;
+
+    let document = await Document.findById(req.params.id);
+
+    if (!document) {
+      return next(createError(`Document not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure user owns the document or is in the team
+    if (!hasAccess(document, req.user, 'edit')) {
+      return next(createError('Not authorized to share this document', 403));
+    }
+
+    document = await shareResource(document, {
+      emails,
+      teamIds,
+      permission,
+      sharedBy: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: document
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Stop sharing document with a user or team
+ * @route   DELETE /api/documents/:id/share/:granteeId
+ * @access  Private
+ */
+export const unshareDocument = async (req, res, next) => {
+  try {
+    let document = await Document.findById(req.params.id);
+
+    if (!document) {
+      return next(createError(`Document not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure user owns the document or is in the team
+    if (!hasAccess(document, req.user, 'edit')) {
+      return next(createError('Not authorized to share this document', 403));
+    }
+
+    document = await unshareResource(document, req.params.granteeId);
+
+    res.status(200).json({
+      success: true,
+      data: document
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,202 @@
+import TeamInvitation from '../models/TeamInvitation.js';
+import User from '../models/User.js';
+import createError from '../utils/errorResponse.js';
+import { teamRoleCan } from '../utils/teamPermissions.js';
+import {
+  INVITE_ROLES,
+  createInvitation,
+  resendInvitation,
+  findOpenInvitation,
+  acceptInvitation as acceptTeamInvitation,
+  rejectInvitation as rejectTeamInvitation,
+  revokeInvitation
+} from '../services/invitations.js';
+
+/**
+ * Loads one of a team's invitations
+ * @param {Object} team - Team document
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<Object>} TeamInvitation
+ */
+const getTeamInvitation = async (team, invitationId) => {
+  const invitation = await TeamInvitation.findOne({ _id: invitationId, team: team._id });
+
+  if (!invitation) {
+    throw createError('Invitation not found', 404);
+  }
+
+  return invitation;
+};
+
+/**
+ * @desc    Invite someone to a team by email
+ * @route   POST /api/teams/:id/invitations
+ * @access  Private (Team owner or admin only; only the owner can invite admins)
+ */
+export const inviteTeamMember = async (req, res, next) => {
+  try {
+    const { email, role } = req.body;
+
+    if (!email) {
+      return next(createError('Please provide member email', 400));
+    }
+    if (role && !INVITE_ROLES.includes(role)) {
+      return next(createError(`Role must be one of: ${INVITE_ROLES.join(', ')}`, 400));
+    }
+    // Inviting an admin grants a role, which only the owner may do
+    if (role === 'admin' && !teamRoleCan(req.teamRole, 'change_member_roles')) {
+      return next(createError('Only the team owner can invite admins', 403));
+    }
+
+    const { team } = req;
+    const invitation = await createInvitation(team, { email, role, inviter: req.user });
+
+    res.status(201).json({
+      success: true,
+      data: invitation
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a team's invitations
+ * @route   GET /api/teams/:id/invitations
+ * @access  Private (Team owner or admin only)
+ */
+export const getTeamInvitations = async (req, res, next) => {
+  try {
+    const { team } = req;
+
+    // Pending invitations by default; ?status=all includes answered ones
+    const query = { team: team._id };
+    if (req.query.status !== 'all') {
+      query.status = req.query.status || 'pending';
+    }
+
+    const invitations = await TeamInvitation.find(query)
+      .populate('invitedBy', 'name email')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      data: invitations
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Resend a pending invitation with a new link
+ * @route   POST /api/teams/:id/invitations/:invitationId/resend
+ * @access  Private (Team owner or admin only)
+ */
+export const resendTeamInvitation = async (req, res, next) => {
+  try {
+    const { team } = req;
+    const invitation = await getTeamInvitation(team, req.params.invitationId);
+
+    await resendInvitation(invitation, { team, inviter: req.user });
+
+    res.status(200).json({
+      success: true,
+      data: invitation
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Revoke a pending invitation
+ * @route   DELETE /api/teams/:id/invitations/:invitationId
+ * @access  Private (Team owner or admin only)
+ */
+export const revokeTeamInvitation = async (req, res, next) => {
+  try {
+    const { team } = req;
+    const invitation = await getTeamInvitation(team, req.params.invitationId);
+
+    const revoked = await revokeInvitation(invitation, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: revoked
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the details shown on an invitation link
+ * @route   GET /api/invitations/:token
+ * @access  Public
+ */
+export const getInvitation = async (req, res, next) => {
+  try {
+    const invitation = await findOpenInvitation(req.params.token);
+    await invitation.populate([
+      { path: 'team', select: 'name description' },
+      { path: 'invitedBy', select: 'name' }
+    ]);
+
+    // Lets the client choose between signing in and signing up
+    const accountExists = Boolean(await User.exists({ email: invitation.email }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        email: invitation.email,
+        role: invitation.role,
+        team: invitation.team,
+        invitedBy: invitation.invitedBy,
+        expiresAt: invitation.expiresAt,
+        accountExists
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Accept an invitation as the signed-in user
+ * @route   POST /api/invitations/:token/accept
+ * @access  Private
+ */
+export const acceptInvitation = async (req, res, next) => {
+  try {
+    const invitation = await findOpenInvitation(req.params.token);
+    const { team } = await acceptTeamInvitation(invitation, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: team
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Decline an invitation
+ * @route   POST /api/invitations/:token/reject
+ * @access  Public (the token is enough to decline)
+ */
+export const rejectInvitation = async (req, res, next) => {
+  try {
+    const invitation = await findOpenInvitation(req.params.token);
+    await rejectTeamInvitation(invitation);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
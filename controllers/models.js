@@ -2,62 +2,33 @@ import AIModel from '../models/AIModel.js';
 import Document from '../models/Document.js';
 import Usage from '../models/Usage.js';
 import createError from '../utils/errorResponse.js';
+import TrainingRun from '../models/TrainingRun.js';
+import { startTrainingRun, getIdleStatus } from '../services/modelTrainer.js';
+import { cancelJob, findActiveJob } from '../services/jobQueue.js';
+import { shareResource, unshareResource } from '../services/sharing.js';
+import { hasAccess, buildAccessQuery } from '../utils/access.js';
 
 /**
- * Simulates training an AI model
- * This would be replaced with a real AI training process
- * @param {Object} model - AI model to train
- * @param {Array} documents - Documents to train on
- * @returns {Promise<Object>} Updated model
+ * Finds documents a user can attach to a model: their own, their team's
+ * or those shared with them for use
+ * @param {Array<string>} documentIds - Document IDs
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Array>} Documents found
  */
-const simulateModelTraining = async (model, documents) => {
-  // Update model to training status
-  model.status = 'training';
-  model.trainingStartedAt = Date.now();
-  model.trainingProgress = 0;
-  await model.save();
-
-  // Simulate background processing over time
-  const totalTime = 10000; // 10 seconds for simulation
-  const steps = 5;
-  const stepTime = totalTime / steps;
-
-  for (let i = 1; i <= steps; i++) {
-    await new Promise(resolve => setTimeout(resolve, stepTime));
-    model.trainingProgress = Math.floor((i / steps) * 100);
-    await model.save();
-  }
-
-  // Complete training
-  model.status = 'ready';
-  model.trainingCompletedAt = Date.now();
-  model.trainingProgress = 100;
-  await model.save();
-
-  return model;
+const findAttachableDocuments = async (documentIds, user) => {
+  const documents = await Document.find({ _id: { $in: documentIds } });
+  return documents.filter(document => hasAccess(document, user, 'use'));
 };
 
 /**
  * @desc    Get all models
- * @route   GET /api/models
+ * @route   GET /api/models?scope=mine|shared|public|all
  * @access  Private
  */
 export const getModels = async (req, res, next) => {
   try {
-    // Base query - get models for current user
-    let query = {
-      user: req.user.id
-    };
-
-    // Add team filter if user is a team member
-    if (req.user.isTeamMember && req.user.teamId) {
-      query = {
-        $or: [
-          { user: req.user.id },
-          { team: req.user.teamId }
-        ]
-      };
-    }
+    // The active team's models by default, or those shared with the user
+    const query = buildAccessQuery(req.user, req.query.scope);
 
     const models = await AIModel.find(query).sort('-createdAt');
 
@@ -84,11 +55,8 @@ export const getModel = async (req, res, next) => {
       return next(createError(`Model not found with id of ${req.params.id}`, 404));
     }
 
-    // Make sure user owns the model or is in the team
-    if (
-      model.user.toString() !== req.user.id && 
-      (!req.user.teamId || model.team?.toString() !== req.user.teamId.toString())
-    ) {
+    // Make sure user owns the model, is in the team or it was shared with them
+    if (!hasAccess(model, req.user, 'read')) {
       return next(createError('Not authorized to access this model', 403));
     }
 
@@ -117,13 +85,11 @@ export const createModel = async (req, res, next) => {
     // Validate documents
     let documents = [];
     if (documentIds && documentIds.length > 0) {
-      documents = await Document.find({ 
-        _id: { $in: documentIds },
-        user: req.user.id
-      });
+      const uniqueIds = [...new Set(documentIds.map(String))];
+      documents = await findAttachableDocuments(uniqueIds, req.user);
 
-      if (documents.length !== documentIds.length) {
-        return next(createError('One or more documents not found or not owned by user', 400));
+      if (documents.length !== uniqueIds.length) {
+        return next(createError('One or more documents not found or not accessible', 400));
       }
     }
 
@@ -134,13 +100,13 @@ export const createModel = async (req, res, next) => {
       baseModel,
       documents: documents.map(doc => doc._id),
       user: req.user.id,
-      team: req.user.teamId
+      team: req.user.activeTeamId
     });
 
     // Track usage
     await Usage.create({
       user: req.user.id,
-      team: req.user.teamId,
+      team: req.user.activeTeamId,
       type: 'model_training',
       resourceId: model._id,
       resourceModel: 'AIModel',
@@ -159,6 +125,139 @@ export const createModel = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Update model
+ * @route   PUT /api/models/:id
+ * @access  Private
+ */
+export const updateModel = async (req, res, next) => {
+  try {
+    const { name, description, isPublic } = req.body;
+
+    let model = await AIModel.findById(req.params.id);
+
+    if (!model) {
+      return next(createError(`Model not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure user owns the model or is in the team
+    if (!hasAccess(model, req.user, 'edit')) {
+      return next(createError('Not authorized to update this model', 403));
+    }
+
+    const updateFields = {};
+    if (name !== undefined) updateFields.name = name;
+    if (description !== undefined) updateFields.description = description;
+
+    // Only the owner decides who outside the team can see the model
+    if (isPublic !== undefined) {
+      if (model.user.toString() !== req.user.id) {
+        return next(createError('Only the model owner can change its visibility', 403));
+      }
+      updateFields.isPublic = Boolean(isPublic);
+    }
+
+    model = await AIModel.findByIdAndUpdate(
+      req.params.id,
+      updateFields,
+      { new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: model
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Attach documents to model
+ * @route   POST /api/models/:id/documents
+ * @access  Private
+ */
+export const attachDocuments = async (req, res, next) => {
+  try {
+    const { documentIds } = req.body;
+
+    if (!Array.isArray(documentIds) || documentIds.length === 0) {
+      return next(createError('Please provide documentIds', 400));
+    }
+
+    const model = await AIModel.findById(req.params.id);
+
+    if (!model) {
+      return next(createError(`Model not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure user owns the model or is in the team
+    if (!hasAccess(model, req.user, 'edit')) {
+      return next(createError('Not authorized to update this model', 403));
+    }
+
+    const uniqueIds = [...new Set(documentIds.map(String))];
+    const documents = await findAttachableDocuments(uniqueIds, req.user);
+
+    if (documents.length !== uniqueIds.length) {
+      return next(createError('One or more documents not found or not accessible', 400));
+    }
+
+    const attached = new Set(model.documents.map(id => id.toString()));
+    const added = documents.filter(doc => !attached.has(doc._id.toString()));
+
+    if (added.length > 0) {
+      model.documents.push(...added.map(doc => doc._id));
+      model.needsRetraining = true;
+      await model.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: model
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Detach document from model
+ * @route   DELETE /api/models/:id/documents/:documentId
+ * @access  Private
+ */
+export const detachDocument = async (req, res, next) => {
+  try {
+    const model = await AIModel.findById(req.params.id);
+
+    if (!model) {
+      return next(createError(`Model not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure user owns the model or is in the team
+    if (!hasAccess(model, req.user, 'edit')) {
+      return next(createError('Not authorized to update this model', 403));
+    }
+
+    const index = model.documents.findIndex(id => id.toString() === req.params.documentId);
+
+    if (index === -1) {
+      return next(createError('Document is not attached to this model', 404));
+    }
+
+    model.documents.splice(index, 1);
+    model.needsRetraining = true;
+    await model.save();
+
+    res.status(200).json({
+      success: true,
+      data: model
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @desc    Start model training
  * @route   POST /api/models/:id/train
@@ -177,8 +276,8 @@ export const trainModel = async (req, res, next) => {
       return next(createError('Model is already training', 400));
     }
 
-    // Make sure user owns the model
-    if (model.user.toString() !== req.user.id) {
+    // Make sure user owns the model or is in the team
+    if (!hasAccess(model, req.user, 'edit')) {
       return next(createError('Not authorized to train this model', 403));
     }
 
@@ -191,18 +290,177 @@ export const trainModel = async (req, res, next) => {
       return next(createError('No documents available for training', 400));
     }
 
-    // Start training (would actually be done in a background job)
-    // For demo, we'll simulate async training
-    setTimeout(() => {
-      simulateModelTraining(model, documents).catch(console.error);
-    }, 0);
+    // A retry of a failed run may still be queued
+    if (await findActiveJob('train_model', model._id)) {
+      return next(createError('Model is already queued for training', 400));
+    }
 
     // Return the model with updated status
     model.status = 'training';
     model.trainingStartedAt = Date.now();
     model.trainingProgress = 0;
+    model.trainingError = undefined;
     await model.save();
 
+    // Training runs in the background job queue; pass { full: true } to
+    // reprocess every document instead of only new or changed ones
+    const run = await startTrainingRun(model, {
+      userId: req.user.id,
+      mode: req.body.full ? 'full' : 'incremental'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: model,
+      run
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Cancel model training
+ * @route   POST /api/models/:id/train/cancel
+ * @access  Private
+ */
+export const cancelTraining = async (req, res, next) => {
+  try {
+    const model = await AIModel.findById(req.params.id);
+
+    if (!model) {
+      return next(createError(`Model not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure user owns the model or is in the team
+    if (!hasAccess(model, req.user, 'edit')) {
+      return next(createError('Not authorized to cancel training for this model', 403));
+    }
+
+    const activeJob = await findActiveJob('train_model', model._id);
+
+    if (!activeJob) {
+      return next(createError('Model is not training', 400));
+    }
+
+    const job = await cancelJob(activeJob._id);
+
+    if (!job) {
+      return next(createError('Training has already finished', 400));
+    }
+
+    const run = await TrainingRun.findById(job.payload.runId);
+
+    // Queued runs stop immediately; running ones stop at the next document
+    if (job.status === 'cancelled') {
+      model.status = await getIdleStatus(model._id);
+      await model.save();
+
+      if (run) {
+        run.status = 'cancelled';
+        run.completedAt = Date.now();
+        await run.save();
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: job.status === 'cancelled' ? 'Training cancelled' : 'Cancellation requested',
+      data: run
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get training run history
+ * @route   GET /api/models/:id/runs
+ * @access  Private
+ */
+export const getTrainingRuns = async (req, res, next) => {
+  try {
+    const model = await AIModel.findById(req.params.id);
+
+    if (!model) {
+      return next(createError(`Model not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure user owns the model, is in the team or it was shared with them
+    if (!hasAccess(model, req.user, 'read')) {
+      return next(createError('Not authorized to access this model', 403));
+    }
+
+    const runs = await TrainingRun.find({ model: model._id })
+      .sort('-createdAt')
+      .populate('user', 'name email');
+
+    res.status(200).json({
+      success: true,
+      count: runs.length,
+      data: runs
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Share model with users or teams
+ * @route   POST /api/models/:id/share
+ * @access  Private
+ */
+export const shareModel = async (req, res, next) => {
+  try {
+    const { emails, teamIds, permission } = req.body;
+
+    let model = await AIModel.findById(req.params.id);
+
+    if (!model) {
+      return next(createError(`Model not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure user owns the model or is in the team
+    if (!hasAccess(model, req.user, 'edit')) {
+      return next(createError('Not authorized to share this model', 403));
+    }
+
+    model = await shareResource(model, {
+      emails,
+      teamIds,
+      permission,
+      sharedBy: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: model
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Stop sharing model with a user or team
+ * @route   DELETE /api/models/:id/share/:granteeId
+ * @access  Private
+ */
+export const unshareModel = async (req, res, next) => {
+  try {
+    let model = await AIModel.findById(req.params.id);
+
+    if (!model) {
+      return next(createError(`Model not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure user owns the model or is in the team
+    if (!hasAccess(model, req.user, 'edit')) {
+      return next(createError('Not authorized to share this model', 403));
+    }
+
+    model = await unshareResource(model, req.params.granteeId);
+
     res.status(200).json({
       success: true,
       data: model
@@ -225,11 +483,18 @@ export const deleteModel = async (req, res, next) => {
       return next(createError(`Model not found with id of ${req.params.id}`, 404));
     }
 
-    // Make sure user owns the model
-    if (model.user.toString() !== req.user.id) {
+    // Make sure user owns the model or is in the team
+    if (!hasAccess(model, req.user, 'edit')) {
       return next(createError('Not authorized to delete this model', 403));
     }
 
+    // Stop any training in progress and drop its history
+    const activeJob = await findActiveJob('train_model', model._id);
+    if (activeJob) {
+      await cancelJob(activeJob._id);
+    }
+    await TrainingRun.deleteMany({ model: model._id });
+
     await model.deleteOne();
 
     res.status(200).json({
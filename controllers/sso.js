@@ -0,0 +1,220 @@
+import SsoConnection from '../models/SsoConnection.js';
+import Team from '../models/Team.js';
+import createError from '../utils/errorResponse.js';
+import { getRedirectUri, verifySsoDomain } from '../services/sso.js';
+import { checkProviderUrl } from '../services/oidc.js';
+
+const EDITABLE_FIELDS = ['name', 'slug', 'issuer', 'clientId', 'clientSecret', 'scopes', 'allowedDomains', 'teamMappings', 'enabled'];
+
+/**
+ * Checks that mapped teams belong to the business and mapped domains are allowed
+ * @param {Object} connection - SSO connection with the new values applied
+ * @param {Object} user - Business owner
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+const validateTeamMappings = async (connection, user) => {
+  const unknownDomains = connection.teamMappings
+    .filter(mapping => !connection.allowedDomains.includes(mapping.domain))
+    .map(mapping => mapping.domain);
+
+  if (unknownDomains.length > 0) {
+    return `Team mappings use domains that are not allowed: ${unknownDomains.join(', ')}`;
+  }
+
+  const teamIds = [...new Set(connection.teamMappings.map(mapping => mapping.team.toString()))];
+  const teams = await Team.countDocuments({
+    _id: { $in: teamIds },
+    $or: [{ businessId: user.id }, { owner: user.id }]
+  });
+
+  return teams === teamIds.length ? null : 'One or more mapped teams not found in this business';
+};
+
+/**
+ * Applies editable fields from the request body to a connection
+ * @param {Object} connection - SSO connection
+ * @param {Object} body - Request body
+ */
+const applyFields = (connection, body) => {
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      connection[field] = body[field];
+    }
+  }
+};
+
+/**
+ * @desc    Get SSO connections of the business
+ * @route   GET /api/sso/connections
+ * @access  Private (Business accounts only)
+ */
+export const getConnections = async (req, res, next) => {
+  try {
+    const connections = await SsoConnection.find({ business: req.user.id }).sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: connections.length,
+      redirectUri: getRedirectUri(),
+      data: connections
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Create SSO connection
+ * @route   POST /api/sso/connections
+ * @access  Private (Business accounts only)
+ */
+export const createConnection = async (req, res, next) => {
+  try {
+    // Staff accounts created by SSO can't configure it for their business
+    if (req.user.parentBusinessId) {
+      return next(createError('Only the business account can configure SSO', 403));
+    }
+
+    if (req.body.slug && await SsoConnection.exists({ slug: String(req.body.slug).toLowerCase() })) {
+      return next(createError('Slug is already in use', 400));
+    }
+
+    const connection = new SsoConnection({ business: req.user.id });
+    applyFields(connection, req.body);
+
+    await connection.validate();
+    if (connection.isModified('issuer')) {
+      await checkProviderUrl(connection.issuer);
+    }
+
+    const mappingError = await validateTeamMappings(connection, req.user);
+    if (mappingError) {
+      return next(createError(mappingError, 400));
+    }
+
+    await connection.save();
+    connection.clientSecret = undefined;
+
+    res.status(201).json({
+      success: true,
+      redirectUri: getRedirectUri(),
+      data: connection
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map(val => val.message);
+      return next(createError(messages.join(', '), 400));
+    }
+    next(err);
+  }
+};
+
+/**
+ * @desc    Update SSO connection
+ * @route   PUT /api/sso/connections/:id
+ * @access  Private (Business accounts only)
+ */
+export const updateConnection = async (req, res, next) => {
+  try {
+    const connection = await SsoConnection.findById(req.params.id);
+
+    if (!connection) {
+      return next(createError(`SSO connection not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure the connection belongs to the business
+    if (connection.business.toString() !== req.user.id) {
+      return next(createError('Not authorized to update this SSO connection', 403));
+    }
+
+    const slug = req.body.slug && String(req.body.slug).toLowerCase();
+    if (slug && slug !== connection.slug && await SsoConnection.exists({ slug })) {
+      return next(createError('Slug is already in use', 400));
+    }
+
+    applyFields(connection, req.body);
+
+    await connection.validate();
+    if (connection.isModified('issuer')) {
+      await checkProviderUrl(connection.issuer);
+    }
+
+    const mappingError = await validateTeamMappings(connection, req.user);
+    if (mappingError) {
+      return next(createError(mappingError, 400));
+    }
+
+    await connection.save();
+    connection.clientSecret = undefined;
+
+    res.status(200).json({
+      success: true,
+      data: connection
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map(val => val.message);
+      return next(createError(messages.join(', '), 400));
+    }
+    next(err);
+  }
+};
+
+/**
+ * @desc    Verify an allowed domain of an SSO connection through its DNS TXT record
+ * @route   POST /api/sso/connections/:id/domains/:domain/verify
+ * @access  Private (Business accounts only)
+ */
+export const verifyDomain = async (req, res, next) => {
+  try {
+    let connection = await SsoConnection.findById(req.params.id);
+
+    if (!connection) {
+      return next(createError(`SSO connection not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure the connection belongs to the business
+    if (connection.business.toString() !== req.user.id) {
+      return next(createError('Not authorized to update this SSO connection', 403));
+    }
+
+    connection = await verifySsoDomain(connection, req.params.domain);
+
+    res.status(200).json({
+      success: true,
+      data: connection
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Delete SSO connection
+ * @route   DELETE /api/sso/connections/:id
+ * @access  Private (Business accounts only)
+ */
+export const deleteConnection = async (req, res, next) => {
+  try {
+    const connection = await SsoConnection.findById(req.params.id);
+
+    if (!connection) {
+      return next(createError(`SSO connection not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure the connection belongs to the business
+    if (connection.business.toString() !== req.user.id) {
+      return next(createError('Not authorized to delete this SSO connection', 403));
+    }
+
+    // Users keep their accounts; they can sign in with a password after a reset
+    await connection.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
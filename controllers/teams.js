@@ -1,6 +1,12 @@
 import Team from '../models/Team.js';
-import User from '../models/User.js';
 import createError from '../utils/errorResponse.js';
+import {
+  removeMember,
+  dissolveTeam,
+  requestOwnershipTransfer,
+  confirmOwnershipTransfer,
+  clearOwnershipTransfer
+} from '../services/teams.js';
 
 /**
  * @desc    Create a new team
@@ -20,14 +26,22 @@ export const createTeam = async (req, res, next) => {
       return next(createError('Please provide a team name', 400));
     }
 
-    // Create team with current user as owner
+    // Create team with current user as owner. Ownership comes from `owner`;
+    // the owner's member entry only uses the highest member role.
     const team = await Team.create({
       name,
       description,
       owner: req.user.id,
-      members: [{ user: req.user.id, role: 'owner' }]
+      businessId: req.user.id,
+      members: [{ user: req.user.id, role: 'admin' }]
     });
 
+    req.user.isTeamMember = true;
+    if (!req.user.teamId) {
+      req.user.teamId = team._id;
+    }
+    await req.user.save({ validateBeforeSave: false });
+
     res.status(201).json({
       success: true,
       data: team
@@ -74,15 +88,6 @@ export const getTeam = async (req, res, next) => {
       return next(createError('Team not found', 404));
     }
 
-    // Check if user is a member of the team
-    const isMember = team.members.some(member => 
-      member.user._id.toString() === req.user.id
-    );
-
-    if (!isMember) {
-      return next(createError('Not authorized to access this team', 403));
-    }
-
     res.status(200).json({
       success: true,
       data: team
@@ -99,24 +104,21 @@ export const getTeam = async (req, res, next) => {
  */
 export const updateTeam = async (req, res, next) => {
   try {
-    const { name, description } = req.body;
-    
-    let team = await Team.findById(req.params.id);
-
-    if (!team) {
-      return next(createError('Team not found', 404));
-    }
-
-    // Check if user is the team owner
-    if (team.owner.toString() !== req.user.id) {
-      return next(createError('Only the team owner can update the team', 403));
-    }
+    const { name, description, requireTwoFactor } = req.body;
 
     const updateFields = {};
     if (name) updateFields.name = name;
     if (description) updateFields.description = description;
 
-    team = await Team.findByIdAndUpdate(
+    if (requireTwoFactor !== undefined) {
+      // The owner has to be enrolled first so requiring 2FA can't lock them out
+      if (requireTwoFactor && !req.user.twoFactorEnabled) {
+        return next(createError('Enable two-factor authentication on your account before requiring it for the team', 400));
+      }
+      updateFields.requireTwoFactor = Boolean(requireTwoFactor);
+    }
+
+    const team = await Team.findByIdAndUpdate(
       req.params.id,
       updateFields,
       { new: true, runValidators: true }
@@ -133,23 +135,14 @@ export const updateTeam = async (req, res, next) => {
 
 /**
  * @desc    Delete team
+ * Team documents, models and chats become personal resources of their
+ * holders; team shares, API keys and pending invitations end.
  * @route   DELETE /api/teams/:id
  * @access  Private (Team owner only)
  */
 export const deleteTeam = async (req, res, next) => {
   try {
-    const team = await Team.findById(req.params.id);
-
-    if (!team) {
-      return next(createError('Team not found', 404));
-    }
-
-    // Check if user is the team owner
-    if (team.owner.toString() !== req.user.id) {
-      return next(createError('Only the team owner can delete the team', 403));
-    }
-
-    await team.deleteOne();
+    await dissolveTeam(req.team, req.user.id);
 
     res.status(200).json({
       success: true,
@@ -161,62 +154,15 @@ export const deleteTeam = async (req, res, next) => {
 };
 
 /**
- * @desc    Add member to team
- * @route   POST /api/teams/:id/members
+ * @desc    Remove member from team
+ * Documents and models they created for the team are handed to the owner; their
+ * team chats are deleted and their team API keys are revoked
+ * @route   DELETE /api/teams/:id/members/:userId
  * @access  Private (Team owner or admin only)
  */
-export const addTeamMember = async (req, res, next) => {
+export const removeTeamMember = async (req, res, next) => {
   try {
-    const { email, role } = req.body;
-
-    if (!email) {
-      return next(createError('Please provide member email', 400));
-    }
-
-    // Valid roles
-    const validRoles = ['member', 'admin'];
-    if (role && !validRoles.includes(role)) {
-      return next(createError(`Role must be one of: ${validRoles.join(', ')}`, 400));
-    }
-
-    const team = await Team.findById(req.params.id);
-
-    if (!team) {
-      return next(createError('Team not found', 404));
-    }
-
-    // Check if user is authorized to add members
-    const userMember = team.members.find(member => 
-      member.user.toString() === req.user.id
-    );
-
-    if (!userMember || (userMember.role !== 'owner' && userMember.role !== 'admin')) {
-      return next(createError('Not authorized to add members', 403));
-    }
-
-    // Find user to add
-    const userToAdd = await User.findOne({ email });
-    
-    if (!userToAdd) {
-      return next(createError('User not found', 404));
-    }
-
-    // Check if user is already a member
-    const isAlreadyMember = team.members.some(member => 
-      member.user.toString() === userToAdd._id.toString()
-    );
-
-    if (isAlreadyMember) {
-      return next(createError('User is already a team member', 400));
-    }
-
-    // Add user to team
-    team.members.push({
-      user: userToAdd._id,
-      role: role || 'member'
-    });
-
-    await team.save();
+    const team = await removeMember(req.team, req.params.userId, req.user.id);
 
     res.status(200).json({
       success: true,
@@ -228,43 +174,39 @@ export const addTeamMember = async (req, res, next) => {
 };
 
 /**
- * @desc    Remove member from team
- * @route   DELETE /api/teams/:id/members/:userId
- * @access  Private (Team owner or admin only)
+ * @desc    Update member role
+ * @route   PUT /api/teams/:id/members/:userId
+ * @access  Private (Team owner only)
  */
-export const removeTeamMember = async (req, res, next) => {
+export const updateMemberRole = async (req, res, next) => {
   try {
-    const team = await Team.findById(req.params.id);
+    const { role } = req.body;
 
-    if (!team) {
-      return next(createError('Team not found', 404));
+    // Valid roles
+    const validRoles = ['admin', 'member', 'viewer'];
+    if (!role || !validRoles.includes(role)) {
+      return next(createError(`Role must be one of: ${validRoles.join(', ')}`, 400));
     }
 
-    // Check if user is authorized to remove members
-    const userMember = team.members.find(member => 
-      member.user.toString() === req.user.id
-    );
-
-    if (!userMember || (userMember.role !== 'owner' && userMember.role !== 'admin')) {
-      return next(createError('Not authorized to remove members', 403));
-    }
+    const { team } = req;
 
-    // Make sure team owner cannot be removed
+    // Make sure team owner role cannot be changed
     if (team.owner.toString() === req.params.userId) {
-      return next(createError('Team owner cannot be removed', 400));
+      return next(createError('Team owner role cannot be changed', 400));
     }
 
-    // Check if user to remove exists in team
-    const memberIndex = team.members.findIndex(member => 
-      member.user.toString() === req.params.userId
+    // Find member to update
+    // Pending invites can hold a place without a user
+    const member = team.members.find(member => 
+      (member.user?._id || member.user)?.toString() === req.params.userId
     );
 
-    if (memberIndex === -1) {
+    if (!member) {
       return next(createError('User is not a team member', 404));
     }
 
-    // Remove member
-    team.members.splice(memberIndex, 1);
+    // Update role
+    member.role = role;
     await team.save();
 
     res.status(200).json({
@@ -274,57 +216,105 @@ export const removeTeamMember = async (req, res, next) => {
   } catch (err) {
     next(err);
   }
+}; 
+/**
+ * @desc    Leave a team
+ * Documents and models you created for the team stay with it; your team chats
+ * are deleted and your team API keys are revoked
+ * @route   POST /api/teams/:id/leave
+ * @access  Private (Team members except the owner)
+ */
+export const leaveTeam = async (req, res, next) => {
+  try {
+    await removeMember(req.team, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
 };
 
 /**
- * @desc    Update member role
- * @route   PUT /api/teams/:id/members/:userId
+ * @desc    Ask a member to take over ownership of the team
+ * @route   POST /api/teams/:id/transfer
  * @access  Private (Team owner only)
  */
-export const updateMemberRole = async (req, res, next) => {
+export const transferOwnership = async (req, res, next) => {
   try {
-    const { role } = req.body;
+    const { userId } = req.body;
 
-    // Valid roles
-    const validRoles = ['member', 'admin'];
-    if (!role || !validRoles.includes(role)) {
-      return next(createError(`Role must be one of: ${validRoles.join(', ')}`, 400));
+    if (!userId) {
+      return next(createError('Please provide the user ID of the new owner', 400));
     }
 
-    const team = await Team.findById(req.params.id);
+    const team = await requestOwnershipTransfer(req.team, req.user, userId);
 
-    if (!team) {
-      return next(createError('Team not found', 404));
-    }
+    res.status(200).json({
+      success: true,
+      data: team
+    });
+  } catch (err) {
+    next(err);
+  }
+};
 
-    // Only team owner can change roles
-    if (team.owner.toString() !== req.user.id) {
-      return next(createError('Only the team owner can update member roles', 403));
-    }
+/**
+ * @desc    Cancel a pending ownership transfer
+ * @route   DELETE /api/teams/:id/transfer
+ * @access  Private (Team owner only)
+ */
+export const cancelOwnershipTransfer = async (req, res, next) => {
+  try {
+    const team = await clearOwnershipTransfer(req.team);
 
-    // Make sure team owner role cannot be changed
-    if (team.owner.toString() === req.params.userId) {
-      return next(createError('Team owner role cannot be changed', 400));
-    }
+    res.status(200).json({
+      success: true,
+      data: team
+    });
+  } catch (err) {
+    next(err);
+  }
+};
 
-    // Find member to update
-    const member = team.members.find(member => 
-      member.user.toString() === req.params.userId
-    );
+/**
+ * @desc    Accept ownership of a team
+ * @route   POST /api/teams/:id/transfer/accept
+ * @access  Private (Member the team is being transferred to)
+ */
+export const acceptOwnershipTransfer = async (req, res, next) => {
+  try {
+    const team = await confirmOwnershipTransfer(req.team, req.user.id);
 
-    if (!member) {
-      return next(createError('User is not a team member', 404));
+    res.status(200).json({
+      success: true,
+      data: team
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Decline ownership of a team
+ * @route   POST /api/teams/:id/transfer/decline
+ * @access  Private (Member the team is being transferred to)
+ */
+export const declineOwnershipTransfer = async (req, res, next) => {
+  try {
+    if (req.team.pendingTransfer?.to?.toString() !== req.user.id) {
+      return next(createError('No ownership transfer is waiting for you on this team', 400));
     }
 
-    // Update role
-    member.role = role;
-    await team.save();
+    await clearOwnershipTransfer(req.team);
 
     res.status(200).json({
       success: true,
-      data: team
+      data: {}
     });
   } catch (err) {
     next(err);
   }
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,165 @@
+import User from '../models/User.js';
+import createError from '../utils/errorResponse.js';
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from '../utils/totp.js';
+import {
+  generateRecoveryCodes,
+  verifySecondFactor,
+  isTwoFactorRequiredByTeam
+} from '../services/twoFactor.js';
+
+const ISSUER = process.env.APP_NAME || 'AI Document Chat';
+
+/**
+ * @desc    Start 2FA enrollment / get secret and otpauth URI
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+export const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactorEnabled) {
+      return next(createError('Two-factor authentication is already enabled', 400));
+    }
+
+    // Not active until confirmed with a code from the authenticator app
+    const secret = generateTotpSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: ISSUER })
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Confirm enrollment with a code and enable 2FA
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private
+ */
+export const enableTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.id).select('+twoFactorPendingSecret');
+
+    if (user.twoFactorEnabled) {
+      return next(createError('Two-factor authentication is already enabled', 400));
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return next(createError('Start two-factor setup first', 400));
+    }
+
+    const step = verifyTotp(user.twoFactorPendingSecret, code);
+
+    if (step === null) {
+      return next(createError('Invalid authentication code', 400));
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = Date.now();
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = hashes;
+    user.twoFactorLastUsedStep = step;
+    await user.save({ validateBeforeSave: false });
+
+    // Recovery codes are only shown once
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: { recoveryCodes: codes }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Disable 2FA
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+export const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password) {
+      return next(createError('Please provide your password', 400));
+    }
+
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!user.twoFactorEnabled) {
+      return next(createError('Two-factor authentication is not enabled', 400));
+    }
+
+    if (!(await user.matchPassword(password))) {
+      return next(createError('Invalid credentials', 401));
+    }
+
+    if (await isTwoFactorRequiredByTeam(user._id)) {
+      return next(createError('Your team requires two-factor authentication', 403));
+    }
+
+    await verifySecondFactor(user, { code, recoveryCode });
+
+    user.twoFactorEnabled = false;
+    user.twoFactorEnabledAt = undefined;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastUsedStep = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Replace recovery codes
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ */
+export const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.id)
+      .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!user.twoFactorEnabled) {
+      return next(createError('Two-factor authentication is not enabled', 400));
+    }
+
+    // Requires a current TOTP code, not a recovery code
+    await verifySecondFactor(user, { code });
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      data: { recoveryCodes: codes }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,6 +1,8 @@
 import User from '../models/User.js';
 import Usage from '../models/Usage.js';
 import createError from '../utils/errorResponse.js';
+import { sendVerificationEmail } from '../services/verification.js';
+import { unlockAccount, getAccountLockState } from '../services/loginThrottle.js';
 
 /**
  * @desc    Get user profile
@@ -36,7 +38,13 @@ export const updateUserProfile = async (req, res, next) => {
     // Build update object
     const updateFields = {};
     if (name) updateFields.name = name;
-    if (email) updateFields.email = email;
+    // A new address has to be verified again
+    const emailChanged = Boolean(email) && email !== req.user.email;
+    if (emailChanged) {
+      updateFields.email = email;
+      updateFields.emailVerified = false;
+      updateFields.$unset = { emailVerifiedAt: 1 };
+    }
     
     // Only update business fields if user is a business
     if (req.user.userType === 'business') {
@@ -50,6 +58,14 @@ export const updateUserProfile = async (req, res, next) => {
       { new: true, runValidators: true }
     );
 
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (err) {
+        console.error('Verification email error:', err.message);
+      }
+    }
+
     res.status(200).json({
       success: true,
       data: user
@@ -109,6 +125,15 @@ export const getUserUsage = async (req, res, next) => {
     const modelTrainings = usage.filter(item => item.type === 'model_training').length;
     const chatInteractions = usage.filter(item => item.type === 'chat').length;
     const apiCalls = usage.filter(item => item.type === 'api_call').length;
+
+    // API traffic per key, so it can be told apart from use of the app
+    const apiCallsByKey = {};
+    for (const item of usage) {
+      if (item.type === 'api_call' && item.apiKey) {
+        const keyId = item.apiKey.toString();
+        apiCallsByKey[keyId] = (apiCallsByKey[keyId] || 0) + 1;
+      }
+    }
     
     // Calculate total tokens used
     const totalTokens = usage.reduce((total, item) => total + (item.totalTokens || 0), 0);
@@ -138,6 +163,7 @@ export const getUserUsage = async (req, res, next) => {
       
       dailyUsage[dateString] = {
         count: dayUsage.length,
+        apiCalls: dayUsage.filter(item => item.type === 'api_call').length,
         tokens: dayUsage.reduce((total, item) => total + (item.totalTokens || 0), 0),
         storage: dayUsage.reduce((total, item) => total + (item.storageUsed || 0), 0)
       };
@@ -150,6 +176,7 @@ export const getUserUsage = async (req, res, next) => {
         modelTrainings,
         chatInteractions,
         apiCalls,
+        apiCallsByKey,
         totalTokens,
         storageUsed,
         dailyUsage,
@@ -161,6 +188,53 @@ export const getUserUsage = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get account lockout state
+ * @route   GET /api/users/:id/lock
+ * @access  Private (Admin only)
+ */
+export const getAccountLock = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return next(createError(`User not found with id of ${req.params.id}`, 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await getAccountLockState(user.email)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Unlock an account locked after failed logins
+ * @route   POST /api/users/:id/unlock
+ * @access  Private (Admin only)
+ */
+export const unlockUserAccount = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return next(createError(`User not found with id of ${req.params.id}`, 404));
+    }
+
+    await unlockAccount(user.email);
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked',
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @desc    Delete user account
  * @route   DELETE /api/users
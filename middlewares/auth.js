@@ -1,8 +1,177 @@
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
+import Team from '../models/Team.js';
+import { isSessionActive } from '../services/sessions.js';
+import { isVerificationRequired } from '../services/verification.js';
+import { isTwoFactorRequiredByTeam } from '../services/twoFactor.js';
+import { isMemberOfTeam } from '../services/teams.js';
+import { resolveTenantId } from '../services/tenancy.js';
+import { runWithTenant } from '../utils/tenantContext.js';
+import Usage from '../models/Usage.js';
+import {
+  findActiveApiKey,
+  touchApiKey,
+  planAllowsApiAccess,
+  getBillingAccountId
+} from '../services/apiKeys.js';
+import { getRequiredScope } from '../utils/apiScopes.js';
+import { getTeamRole, teamRoleCan } from '../utils/teamPermissions.js';
+
+/**
+ * Records an api_call usage entry once the response for an API key request is sent
+ */
+const recordApiCall = (apiKey, req, res, startedAt) => {
+  res.on('finish', () => {
+    Usage.create({
+      user: apiKey.user,
+      team: apiKey.team,
+      type: 'api_call',
+      endpoint: req.originalUrl,
+      method: req.method,
+      status: res.statusCode,
+      latencyMs: Date.now() - startedAt,
+      apiKey: apiKey._id,
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    }).catch(err => console.error(`Failed to record API call for key ${apiKey._id}:`, err.message));
+  });
+};
+
+/**
+ * Picks the team a request acts in and sets req.user.activeTeamId
+ * The X-Team-Id header wins over the token's team claim; without either the
+ * user's default team is used. 'personal' selects no team. Membership is
+ * always checked, so a team the user was removed from is never used.
+ * @returns {Promise<boolean>} False if the user is not in the team named by the header
+ */
+const setActiveTeam = async (req, claimedTeam) => {
+  const header = req.headers['x-team-id'];
+  const requested = header || claimedTeam;
+
+  if (requested === 'personal') {
+    req.user.activeTeamId = null;
+    return true;
+  }
+
+  if (requested && await isMemberOfTeam(requested, req.user._id)) {
+    req.user.activeTeamId = new mongoose.Types.ObjectId(requested);
+    return true;
+  }
+
+  if (header) {
+    return false;
+  }
+
+  // No team asked for, or a token's claim that outlived the membership: use
+  // the default team if the user is still in it, otherwise no team
+  const defaultTeam = req.user.teamId;
+  req.user.activeTeamId = defaultTeam && await isMemberOfTeam(defaultTeam, req.user._id) ? defaultTeam : null;
+  return true;
+};
+
+/**
+ * Continues the request inside its tenant context, so every query on
+ * tenant-scoped models is limited to the business the request works in
+ */
+const continueInTenant = async (req, next) => {
+  req.tenantId = await resolveTenantId(req.user);
+  runWithTenant(req.tenantId, next);
+};
+
+/**
+ * Authenticates a request made with an API key and enforces its scopes and
+ * the plan's API access
+ */
+const protectWithApiKey = async (key, req, res, next) => {
+  const startedAt = Date.now();
+
+  try {
+    const apiKey = await findActiveApiKey(key);
+
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid, expired or revoked API key'
+      });
+    }
+
+    // Every request with a known key is billed as API traffic, even if rejected below
+    recordApiCall(apiKey, req, res, startedAt);
+
+    if (!(await planAllowsApiAccess(await getBillingAccountId(apiKey)))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Your plan does not include API access'
+      });
+    }
+
+    const scope = getRequiredScope(req);
+
+    if (!scope) {
+      return res.status(403).json({
+        success: false,
+        error: 'API keys cannot access this route'
+      });
+    }
+
+    if (!apiKey.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        error: `API key is missing the ${scope} scope`
+      });
+    }
+
+    // The key acts as the user who created it
+    req.user = await User.findById(apiKey.user);
+
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    // Keys can't get around a team's 2FA requirement on their creator
+    if (!req.user.twoFactorEnabled && await isTwoFactorRequiredByTeam(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Your team requires two-factor authentication. Enable it before using API keys'
+      });
+    }
+
+    // Team keys always act in their team, and only while their creator is in it
+    if (apiKey.team) {
+      if (!(await isMemberOfTeam(apiKey.team, apiKey.user))) {
+        return res.status(403).json({
+          success: false,
+          error: 'API key belongs to a team its creator is no longer a member of'
+        });
+      }
+      req.user.activeTeamId = apiKey.team;
+    } else if (!(await setActiveTeam(req))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You are not a member of this team'
+      });
+    }
+
+    req.apiKey = apiKey;
+    touchApiKey(apiKey, req.ip).catch(err => console.error(`Failed to record use of API key ${apiKey._id}:`, err.message));
+
+    await continueInTenant(req, next);
+  } catch (err) {
+    return res.status(401).json({
+      success: false,
+      error: 'Not authorized to access this route'
+    });
+  }
+};
 
 /**
  * Protects routes that require authentication
+ * Accepts a session access token (Authorization: Bearer) or an API key (x-api-key)
+ * An X-Team-Id header picks the team the request acts in
  */
 export const protect = async (req, res, next) => {
   let token;
@@ -15,8 +184,7 @@ export const protect = async (req, res, next) => {
     // Set token from Bearer token
     token = req.headers.authorization.split(' ')[1];
   } else if (req.headers['x-api-key']) {
-    // Set token from API key
-    token = req.headers['x-api-key'];
+    return protectWithApiKey(req.headers['x-api-key'], req, res, next);
   }
 
   // Make sure token exists
@@ -31,6 +199,22 @@ export const protect = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Purpose-bound tokens such as 2FA login challenges can't authenticate requests
+    if (decoded.purpose) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to access this route'
+      });
+    }
+
+    // Access tokens are only valid while their session is active
+    if (!(decoded.sid && await isSessionActive(decoded.sid, decoded.id))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session expired or revoked'
+      });
+    }
+
     // Find user by ID from decoded token
     req.user = await User.findById(decoded.id);
 
@@ -41,7 +225,28 @@ export const protect = async (req, res, next) => {
       });
     }
 
-    next();
+    // Members of a team that requires 2FA can only manage their account until they enable it
+    if (
+      !req.user.twoFactorEnabled &&
+      !req.originalUrl.startsWith('/api/auth/') &&
+      await isTwoFactorRequiredByTeam(req.user._id)
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: 'Your team requires two-factor authentication. Enable it at /api/auth/2fa/setup'
+      });
+    }
+
+    if (!(await setActiveTeam(req, decoded.team))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You are not a member of this team'
+      });
+    }
+
+    req.sessionId = decoded.sid;
+
+    await continueInTenant(req, next);
   } catch (err) {
     return res.status(401).json({
       success: false,
@@ -80,6 +285,72 @@ export const authorizeUserType = (...types) => {
   };
 };
 
+/**
+ * Block an action until the user has verified their email, if the
+ * verification policy covers it (see EMAIL_VERIFICATION_REQUIRED_FOR)
+ */
+export const requireVerifiedEmail = (action) => {
+  return (req, res, next) => {
+    if (!req.user.emailVerified && isVerificationRequired(action)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Please verify your email address to access this route'
+      });
+    }
+    next();
+  };
+};
+
+/**
+ * Enforce the team permission matrix (utils/teamPermissions.js) for an action
+ * The team comes from a route parameter when `param` is given (team routes),
+ * otherwise from the user's active team. Users working outside a team are not
+ * restricted here; resource ownership is still checked by the controllers.
+ * Sets req.team and req.teamRole.
+ */
+export const requireTeamPermission = (action, { param } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const teamId = param ? req.params[param] : req.user.activeTeamId;
+
+      if (!teamId) {
+        return next();
+      }
+
+      const team = await Team.findById(teamId);
+      const role = team && getTeamRole(team, req.user.id);
+
+      if (!role) {
+        if (!param) {
+          // The user left the active team after the request was authenticated;
+          // its tenant was already chosen, so the request can't go on
+          return res.status(403).json({
+            success: false,
+            error: 'You are no longer a member of this team'
+          });
+        }
+        return res.status(team ? 403 : 404).json({
+          success: false,
+          error: team ? 'Not authorized to access this team' : 'Team not found'
+        });
+      }
+
+      if (!teamRoleCan(role, action)) {
+        return res.status(403).json({
+          success: false,
+          error: `Team role ${role} is not allowed to ${action.replace(/_/g, ' ')}`
+        });
+      }
+
+      req.team = team;
+      req.teamRole = role;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+};
+
 /**
  * Check if user is a team member
  */
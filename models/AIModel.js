@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import tenantScope from './plugins/tenantScope.js';
 
 const AIModelSchema = new mongoose.Schema({
   name: {
@@ -26,6 +27,11 @@ const AIModelSchema = new mongoose.Schema({
     enum: ['pending', 'training', 'ready', 'failed'],
     default: 'pending'
   },
+  // Set when the document set changes after training
+  needsRetraining: {
+    type: Boolean,
+    default: false
+  },
   trainingError: {
     type: String
   },
@@ -61,8 +67,28 @@ const AIModelSchema = new mongoose.Schema({
     default: false
   },
   sharedWith: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
+    // Each grant targets either a user or a team
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    team: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Team'
+    },
+    permission: {
+      type: String,
+      enum: ['read', 'use'],
+      default: 'read'
+    },
+    sharedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    sharedAt: {
+      type: Date,
+      default: Date.now
+    }
   }],
   createdAt: {
     type: Date,
@@ -80,6 +106,9 @@ AIModelSchema.pre('save', function(next) {
   next();
 });
 
+// Scoped to the tenant of the current request
+AIModelSchema.plugin(tenantScope);
+
 const AIModel = mongoose.model('AIModel', AIModelSchema);
 
 export default AIModel; 
\ No newline at end of file
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+import { API_SCOPES } from '../utils/apiScopes.js';
+
+/**
+ * ApiKey Schema
+ *
+ * Credentials for programmatic access through the x-api-key header. The key
+ * itself is only shown when created; requests are matched on its sha256 hash.
+ * A key acts as the user who created it, limited to its scopes.
+ */
+const ApiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a key name'],
+    trim: true,
+    maxlength: [50, 'Key name cannot be more than 50 characters']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Set for keys shared with a team; visible to and revocable by its managers
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    index: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the key, so users can tell their keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_SCOPES
+    }],
+    validate: [scopes => scopes.length > 0, 'Please add at least one scope']
+  },
+  expiresAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Whether the key can still be used
+ * @returns {boolean} True if not revoked or expired
+ */
+ApiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+};
+
+const ApiKey = mongoose.model('ApiKey', ApiKeySchema);
+
+export default ApiKey;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import tenantScope from './plugins/tenantScope.js';
 
 const MessageSchema = new mongoose.Schema({
   role: {
@@ -89,6 +90,9 @@ ChatSchema.pre('save', function(next) {
   next();
 });
 
+// Scoped to the tenant of the current request
+ChatSchema.plugin(tenantScope);
+
 const Chat = mongoose.model('Chat', ChatSchema);
 
 export default Chat; 
\ No newline at end of file
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import tenantScope from './plugins/tenantScope.js';
 
 /**
  * Company Schema
@@ -6,6 +7,12 @@ import mongoose from 'mongoose';
  * Stores information about companies and their associated document context
  */
 const CompanySchema = new mongoose.Schema({
+  // User who created the company and manages it
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
   companyId: {
     type: String,
     required: true,
@@ -58,4 +65,6 @@ const CompanySchema = new mongoose.Schema({
   timestamps: true
 });
 
-export default mongoose.model('Company', CompanySchema); 
\ No newline at end of file
+CompanySchema.plugin(tenantScope);
+
+export default mongoose.model('Company', CompanySchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import tenantScope from './plugins/tenantScope.js';
 
 /**
  * CompanyContext Schema
@@ -36,4 +37,7 @@ const CompanyContextSchema = new mongoose.Schema({
   timestamps: true
 });
 
-export default mongoose.model('CompanyContext', CompanyContextSchema); 
\ No newline at end of file
+// Contexts are in the tenant of their company
+CompanyContextSchema.plugin(tenantScope);
+
+export default mongoose.model('CompanyContext', CompanyContextSchema);
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+import tenantScope from './plugins/tenantScope.js';
+
+const ConversationMessageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  tokenCount: {
+    type: Number,
+    default: 0
+  },
+  metadata: {
+    type: Object
+  }
+});
+
+/**
+ * CompanyConversation Schema
+ *
+ * A conversation between an anonymous visitor and a company's public chatbot.
+ * The visitor is identified by a random token they keep; only its hash is
+ * stored. The company's owner can review the conversations.
+ */
+const CompanyConversationSchema = new mongoose.Schema({
+  company_id: {
+    type: String,
+    required: true,
+    ref: 'Company'
+  },
+  visitorTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  messages: [ConversationMessageSchema],
+  // Version of the company context the last answer was given from
+  contextVersion: {
+    type: Number
+  },
+  totalTokensUsed: {
+    type: Number,
+    default: 0
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+CompanyConversationSchema.index({ company_id: 1, lastMessageAt: -1 });
+
+// Calculate total tokens before saving
+CompanyConversationSchema.pre('save', function(next) {
+  if (this.isModified('messages')) {
+    this.totalTokensUsed = this.messages.reduce((total, message) => total + (message.tokenCount || 0), 0);
+  }
+  next();
+});
+
+// Conversations are in the tenant of their company
+CompanyConversationSchema.plugin(tenantScope);
+
+export default mongoose.model('CompanyConversation', CompanyConversationSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import tenantScope from './plugins/tenantScope.js';
 
 const DocumentSchema = new mongoose.Schema({
   title: {
@@ -54,6 +55,22 @@ const DocumentSchema = new mongoose.Schema({
   extractedText: {
     type: String
   },
+  // SHA-256 of the file, used to detect changed documents when retraining
+  contentHash: {
+    type: String
+  },
+  pageCount: {
+    type: Number,
+    default: 0
+  },
+  pages: [{
+    pageNumber: {
+      type: Number
+    },
+    text: {
+      type: String
+    }
+  }],
   metadata: {
     type: Object
   },
@@ -62,8 +79,28 @@ const DocumentSchema = new mongoose.Schema({
     default: false
   },
   sharedWith: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
+    // Each grant targets either a user or a team
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    team: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Team'
+    },
+    permission: {
+      type: String,
+      enum: ['read', 'use'],
+      default: 'read'
+    },
+    sharedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    sharedAt: {
+      type: Date,
+      default: Date.now
+    }
   }],
   createdAt: {
     type: Date,
@@ -81,6 +118,12 @@ DocumentSchema.pre('save', function(next) {
   next();
 });
 
+// Used by the processor to pick up documents waiting for extraction
+DocumentSchema.index({ processingStatus: 1, createdAt: 1 });
+
+// Scoped to the tenant of the current request
+DocumentSchema.plugin(tenantScope);
+
 const Document = mongoose.model('Document', DocumentSchema);
 
 export default Document; 
\ No newline at end of file
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+import tenantScope from './plugins/tenantScope.js';
+
+/**
+ * DocumentChunk Schema
+ *
+ * Stores an overlapping slice of a document's extracted text together with
+ * its embedding vector, used for retrieval during chat
+ */
+const DocumentChunkSchema = new mongoose.Schema({
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  },
+  chunkIndex: {
+    type: Number,
+    required: true
+  },
+  pageNumber: {
+    type: Number,
+    default: 1
+  },
+  // Character offsets within the page text
+  startOffset: {
+    type: Number,
+    required: true
+  },
+  endOffset: {
+    type: Number,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  embedding: {
+    type: [Number],
+    select: false
+  },
+  embeddingProvider: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+DocumentChunkSchema.index({ document: 1, chunkIndex: 1 });
+DocumentChunkSchema.index({ document: 1, embeddingProvider: 1 });
+// Narrows down the candidates of models too large to score every chunk
+DocumentChunkSchema.index({ text: 'text' });
+
+// Scoped to the tenant of the current request
+DocumentChunkSchema.plugin(tenantScope);
+
+const DocumentChunk = mongoose.model('DocumentChunk', DocumentChunkSchema);
+
+export default DocumentChunk;
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+/**
+ * Job Schema
+ *
+ * Background work persisted in MongoDB so it survives restarts. Workers claim
+ * jobs by locking them for a visibility timeout; a job whose lock expires is
+ * picked up again by another worker.
+ */
+const JobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+  payload: {
+    type: Object,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'cancelled', 'dead'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  // Earliest time the job may run, pushed back between retries
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: {
+    type: Date
+  },
+  lockedBy: {
+    type: String
+  },
+  // Set while running; the handler is expected to stop at its next checkpoint
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  lastError: {
+    type: String
+  },
+  result: {
+    type: Object
+  },
+  completedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+JobSchema.index({ status: 1, runAt: 1 });
+JobSchema.index({ status: 1, lockedUntil: 1 });
+JobSchema.index({ type: 1, 'payload.resourceId': 1, status: 1 });
+
+// Update the updatedAt timestamp before saving
+JobSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const Job = mongoose.model('Job', JobSchema);
+
+export default Job;
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+/**
+ * RateLimit Schema
+ *
+ * Counters for the mongo throttle store (failed logins, public chatbot
+ * limits), shared by every server instance. Entries are removed by MongoDB once they expire.
+ */
+const RateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  lastAttemptAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+RateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model('RateLimit', RateLimitSchema);
+
+export default RateLimit;
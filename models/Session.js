@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+/**
+ * Session Schema
+ *
+ * One login on one device. Access tokens carry the session ID and are only
+ * accepted while the session is active; the refresh token is rotated on every
+ * use and only its hash is stored.
+ */
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hash of the token replaced by the last rotation, used to detect reuse
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  device: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Team ID or 'personal', picked with /api/auth/switch-team and carried in
+  // the session's access tokens
+  activeTeam: {
+    type: String
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user', 'refresh_token_reuse', 'password_reset']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Expired sessions are removed by MongoDB
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Whether the session can still be used
+ * @returns {boolean} True if not revoked or expired
+ */
+SessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+const Session = mongoose.model('Session', SessionSchema);
+
+export default Session;
@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+/**
+ * SsoConnection Schema
+ *
+ * OpenID Connect settings for a business account. Staff whose email domain
+ * is allowed and verified sign in through the business's identity provider and are
+ * created on first login, linked to the business via `parentBusinessId`.
+ */
+const SsoConnectionSchema = new mongoose.Schema({
+  // Business account that owns the connection
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a connection name'],
+    trim: true,
+    maxlength: [50, 'Name cannot be more than 50 characters']
+  },
+  // Used in the login URL: /api/auth/sso/:slug/start
+  slug: {
+    type: String,
+    required: [true, 'Please add a slug'],
+    unique: true,
+    lowercase: true,
+    match: [/^[a-z0-9-]{3,50}$/, 'Slug can only contain lowercase letters, numbers and dashes']
+  },
+  issuer: {
+    type: String,
+    required: [true, 'Please add the issuer URL'],
+    // Plain http only for local development (SSO_ALLOW_INSECURE_ISSUERS)
+    validate: {
+      validator: issuer => /^https:\/\/\S+$/.test(issuer) ||
+        (process.env.SSO_ALLOW_INSECURE_ISSUERS === 'true' && /^http:\/\/\S+$/.test(issuer)),
+      message: 'Please add a valid https issuer URL'
+    }
+  },
+  clientId: {
+    type: String,
+    required: [true, 'Please add the client ID']
+  },
+  clientSecret: {
+    type: String,
+    required: [true, 'Please add the client secret'],
+    select: false
+  },
+  scopes: {
+    type: String,
+    default: 'openid email profile'
+  },
+  allowedDomains: {
+    type: [{
+      type: String,
+      lowercase: true,
+      trim: true
+    }],
+    validate: [domains => domains.length > 0, 'Please add at least one allowed domain']
+  },
+  // Proof that the business controls each allowed domain: a DNS TXT record
+  // with this value on the domain. Nobody can sign in from a domain until it is verified.
+  domainVerifications: [{
+    domain: {
+      type: String,
+      required: true
+    },
+    txtRecord: {
+      type: String,
+      required: true
+    },
+    verifiedAt: {
+      type: Date
+    }
+  }],
+  // Users from a domain are added to its team on login
+  teamMappings: [{
+    domain: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      required: true
+    },
+    team: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Team',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['admin', 'member', 'viewer'],
+      default: 'member'
+    }
+  }],
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Give new allowed domains a TXT record to verify and forget removed ones
+SsoConnectionSchema.pre('validate', function(next) {
+  const domains = this.allowedDomains || [];
+  const kept = this.domainVerifications.filter(entry => domains.includes(entry.domain));
+  const pending = domains
+    .filter(domain => !kept.some(entry => entry.domain === domain))
+    .map(domain => ({ domain, txtRecord: `sso-domain-verification=${crypto.randomBytes(16).toString('hex')}` }));
+
+  if (pending.length > 0 || kept.length !== this.domainVerifications.length) {
+    this.domainVerifications = [...kept, ...pending];
+  }
+  next();
+});
+
+// Update the updatedAt timestamp before saving
+SsoConnectionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+/**
+ * Checks whether an allowed domain has been verified
+ * @param {string} domain - Email domain
+ * @returns {boolean} True if the domain's TXT record was found
+ */
+SsoConnectionSchema.methods.isDomainVerified = function(domain) {
+  return this.domainVerifications.some(entry => entry.domain === domain && entry.verifiedAt);
+};
+
+const SsoConnection = mongoose.model('SsoConnection', SsoConnectionSchema);
+
+export default SsoConnection;
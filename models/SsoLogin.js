@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+/**
+ * SsoLogin Schema
+ *
+ * State of one SSO login attempt. Created when the user is sent to the
+ * identity provider (holding the PKCE verifier and nonce), completed by the
+ * callback, and consumed when the app exchanges the one-time login code for
+ * a session. Entries expire after a few minutes.
+ */
+const SsoLoginSchema = new mongoose.Schema({
+  connection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SsoConnection',
+    required: true
+  },
+  // sha256 of the OAuth state parameter
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  // Set by the callback once the user is authenticated
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  loginCodeHash: {
+    type: String,
+    index: { unique: true, sparse: true }
+  },
+  completedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+SsoLoginSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SsoLogin = mongoose.model('SsoLogin', SsoLoginSchema);
+
+export default SsoLogin;
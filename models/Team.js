@@ -29,7 +29,7 @@ const TeamSchema = new mongoose.Schema({
     inviteStatus: {
       type: String,
       enum: ['pending', 'accepted', 'rejected'],
-      default: 'pending'
+      default: 'accepted'
     },
     inviteEmail: {
       type: String,
@@ -43,6 +43,20 @@ const TeamSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // Ownership transfer started by the owner, waiting for the new owner to confirm
+  pendingTransfer: {
+    to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: Date,
+    expiresAt: Date
+  },
+  // Members must enable two-factor authentication to use the API
+  requireTwoFactor: {
+    type: Boolean,
+    default: false
+  },
   businessId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
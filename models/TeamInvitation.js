@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+/**
+ * TeamInvitation Schema
+ *
+ * An emailed invitation to join a team. The invitee doesn't need an account
+ * yet; they can sign up with the invitation token. Only the token's hash is
+ * stored. Accepting adds them to `Team.members`.
+ */
+const TeamInvitationSchema = new mongoose.Schema({
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true,
+    index: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Please add an email'],
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+      'Please add a valid email'
+    ]
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'member', 'viewer'],
+    default: 'member'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected', 'revoked'],
+    default: 'pending'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // User who accepted or rejected the invitation, if signed in
+  respondedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  respondedAt: {
+    type: Date
+  },
+  sentCount: {
+    type: Number,
+    default: 1
+  },
+  lastSentAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+TeamInvitationSchema.index({ email: 1, status: 1 });
+
+/**
+ * Whether the invitation can still be accepted or rejected
+ * @returns {boolean} True if pending and not expired
+ */
+TeamInvitationSchema.methods.isOpen = function() {
+  return this.status === 'pending' && this.expiresAt > Date.now();
+};
+
+const TeamInvitation = mongoose.model('TeamInvitation', TeamInvitationSchema);
+
+export default TeamInvitation;
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+import tenantScope from './plugins/tenantScope.js';
+
+/**
+ * TrainingRun Schema
+ *
+ * Records one training run of an AI model: which documents it used,
+ * how long it took and how it ended
+ */
+const TrainingRunSchema = new mongoose.Schema({
+  model: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AIModel',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  mode: {
+    type: String,
+    enum: ['full', 'incremental'],
+    default: 'incremental'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  documents: [{
+    document: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document'
+    },
+    title: {
+      type: String
+    },
+    contentHash: {
+      type: String
+    },
+    // How the document compares to the last successful run
+    change: {
+      type: String,
+      enum: ['added', 'changed', 'unchanged']
+    },
+    status: {
+      type: String,
+      enum: ['processed', 'skipped', 'failed']
+    }
+  }],
+  removedDocuments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  }],
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  durationMs: {
+    type: Number
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+TrainingRunSchema.index({ model: 1, createdAt: -1 });
+
+// Scoped to the tenant of the current request
+TrainingRunSchema.plugin(tenantScope);
+
+const TrainingRun = mongoose.model('TrainingRun', TrainingRunSchema);
+
+export default TrainingRun;
@@ -49,6 +49,9 @@ const UsageSchema = new mongoose.Schema({
   endpoint: {
     type: String
   },
+  method: {
+    type: String
+  },
   status: {
     type: Number // HTTP status code
   },
@@ -58,6 +61,15 @@ const UsageSchema = new mongoose.Schema({
   userAgent: {
     type: String
   },
+  // API key used for the request, for api_call entries
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  // Time from the request arriving to the response finishing
+  latencyMs: {
+    type: Number
+  },
   metadata: {
     type: Object
   },
@@ -71,6 +83,7 @@ const UsageSchema = new mongoose.Schema({
 UsageSchema.index({ user: 1, timestamp: -1 });
 UsageSchema.index({ team: 1, timestamp: -1 });
 UsageSchema.index({ type: 1, timestamp: -1 });
+UsageSchema.index({ apiKey: 1, timestamp: -1 });
 
 const Usage = mongoose.model('Usage', UsageSchema);
 
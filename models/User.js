@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -85,6 +86,7 @@ const UserSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Default team; a request can act in another of the user's teams (see activeTeamId)
   teamId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Team'
@@ -93,15 +95,69 @@ const UserSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
-  apiKey: {
+  // Set for users who sign in through their business's identity provider
+  ssoConnection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SsoConnection'
+  },
+  // Subject (`sub`) of the user at the identity provider
+  ssoSubject: {
     type: String
   },
+  // Two-factor authentication (TOTP)
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: {
+    type: Date
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret awaiting its first code during enrollment
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // sha256 hashes of unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last accepted TOTP time step, so a code can't be replayed
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpire: {
+    type: Date,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
   },
-  resetPasswordToken: String,
-  resetPasswordExpire: Date,
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  },
   // Business usage tracking
   documentsUploaded: {
     type: Number,
@@ -124,42 +180,75 @@ const UserSchema = new mongoose.Schema({
 // Encrypt password using bcrypt
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
 
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
 });
 
-// Sign JWT and return
-UserSchema.methods.getSignedJwtToken = function() {
+// Team the current request acts in, chosen by the X-Team-Id header or the
+// access token's team claim (see middlewares/auth.js). Null means personal
+// resources only. Not stored; defaults to teamId.
+UserSchema.virtual('activeTeamId')
+  .get(function() {
+    return 'activeTeamId' in this.$locals ? this.$locals.activeTeamId : this.teamId;
+  })
+  .set(function(teamId) {
+    this.$locals.activeTeamId = teamId;
+  });
+
+// Sign a short-lived access token for a session and return
+UserSchema.methods.getSignedJwtToken = function(sessionId, teamId) {
   return jwt.sign(
-    { id: this._id, userType: this.userType, role: this.role },
+    {
+      id: this._id,
+      userType: this.userType,
+      role: this.role,
+      sid: sessionId,
+      ...(teamId ? { team: teamId } : {})
+    },
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRE
+      expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '15m'
     }
   );
 };
 
-// Match user entered password to hashed password in database
-UserSchema.methods.matchPassword = async function(enteredPassword) {
-  return await bcrypt.compare(enteredPassword, this.password);
+// Generate and hash password reset token
+UserSchema.methods.getResetPasswordToken = function() {
+  const resetToken = crypto.randomBytes(20).toString('hex');
+
+  // Only the hash is stored; the plain token is emailed to the user
+  this.resetPasswordToken = crypto
+    .createHash('sha256')
+    .update(resetToken)
+    .digest('hex');
+
+  const minutes = parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES, 10) || 30;
+  this.resetPasswordExpire = Date.now() + minutes * 60 * 1000;
+
+  return resetToken;
 };
 
-// Generate and hash password token
-UserSchema.methods.generateApiKey = function() {
-  // Generate API key
-  const apiKey = jwt.sign(
-    { id: this._id },
-    process.env.JWT_SECRET,
-    {
-      expiresIn: '1y'
-    }
-  );
+// Generate and hash email verification token
+UserSchema.methods.getEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(20).toString('hex');
+
+  this.emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+
+  const hours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS, 10) || 24;
+  this.emailVerificationExpire = Date.now() + hours * 60 * 60 * 1000;
 
-  this.apiKey = apiKey;
-  return apiKey;
+  return verificationToken;
+};
+
+// Match user entered password to hashed password in database
+UserSchema.methods.matchPassword = async function(enteredPassword) {
+  return await bcrypt.compare(enteredPassword, this.password);
 };
 
 // Set plan-based usage limits
@@ -186,6 +275,8 @@ UserSchema.pre('save', function(next) {
   next();
 });
 
+UserSchema.index({ ssoConnection: 1, ssoSubject: 1 }, { sparse: true });
+
 const User = mongoose.model('User', UserSchema);
 
 export default User; 
\ No newline at end of file
@@ -0,0 +1,156 @@
+import mongoose from 'mongoose';
+import { getTenantContext } from '../../utils/tenantContext.js';
+
+const QUERY_OPERATIONS = [
+  'countDocuments',
+  'deleteMany',
+  'deleteOne',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne'
+];
+
+/**
+ * Builds the error for work on a tenant-scoped model with no tenant context
+ * @param {string} modelName - Model name
+ * @returns {Error} Error with a 500 status
+ */
+const missingContextError = (modelName) => {
+  const error = new Error(`${modelName} was accessed without a tenant context`);
+  error.statusCode = 500;
+  return error;
+};
+
+/**
+ * Builds the error for writes that would move data into another tenant
+ * @returns {Error} Error with a 403 status
+ */
+const crossTenantError = () => {
+  const error = new Error('Cross-tenant access is not allowed');
+  error.statusCode = 403;
+  return error;
+};
+
+const sameTenant = (a, b) => String(a ?? null) === String(b ?? null);
+
+/**
+ * Checks an update doesn't touch the tenant field
+ * @param {Object} update - Update document
+ * @returns {boolean} True if tenant is changed
+ */
+const updatesTenant = (update) => {
+  if (!update) {
+    return false;
+  }
+  return 'tenant' in update ||
+    Object.keys(update).some(key => key.startsWith('$') && update[key] && 'tenant' in update[key]);
+};
+
+/**
+ * Tenant isolation for a schema
+ *
+ * Adds a `tenant` field (the business account ID, or null for individual
+ * accounts) and scopes every query, aggregation, save and insert to the tenant
+ * of the current context (utils/tenantContext.js). Work with no context fails
+ * instead of silently reading across tenants; background work runs with
+ * runAsSystem and must set `tenant` itself on new documents (null included).
+ * bulkWrite has no middleware and is not supported on scoped models.
+ * @param {Object} schema - Mongoose schema
+ */
+const tenantScope = (schema) => {
+  schema.add({
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true
+    }
+  });
+
+  schema.pre(QUERY_OPERATIONS, function(next) {
+    const context = getTenantContext();
+
+    if (!context) {
+      return next(missingContextError(this.model.modelName));
+    }
+    if (context.system) {
+      return next();
+    }
+    if (updatesTenant(this.getUpdate?.())) {
+      return next(crossTenantError());
+    }
+
+    // Replaces any tenant condition from the caller
+    this.where({ tenant: context.tenantId });
+    next();
+  });
+
+  schema.pre('aggregate', function(next) {
+    const context = getTenantContext();
+
+    if (!context) {
+      return next(missingContextError(this.model().modelName));
+    }
+    if (!context.system) {
+      this.pipeline().unshift({ $match: { tenant: context.tenantId } });
+    }
+    next();
+  });
+
+  /**
+   * Stamps or checks the tenant of a document being written
+   * @param {Object} doc - Document
+   * @param {Object} context - Tenant context
+   * @param {string} modelName - Model name
+   * @returns {Error|null} Error, if the write is not allowed
+   */
+  const checkWrite = (doc, context, modelName) => {
+    if (!context) {
+      return missingContextError(modelName);
+    }
+    if (context.system) {
+      return doc.tenant === undefined
+        ? new Error(`${modelName} created by background work must set tenant`)
+        : null;
+    }
+    if (doc.tenant === undefined) {
+      doc.tenant = context.tenantId;
+      return null;
+    }
+    return sameTenant(doc.tenant, context.tenantId) ? null : crossTenantError();
+  };
+
+  schema.pre('save', function(next) {
+    const context = getTenantContext();
+
+    if (this.isNew) {
+      return next(checkWrite(this, context, this.constructor.modelName));
+    }
+    if (!context) {
+      return next(missingContextError(this.constructor.modelName));
+    }
+    if (!context.system && (this.isModified('tenant') || !sameTenant(this.tenant, context.tenantId))) {
+      return next(crossTenantError());
+    }
+    next();
+  });
+
+  schema.pre('insertMany', function(next, docs) {
+    const context = getTenantContext();
+
+    for (const doc of [].concat(docs)) {
+      const error = checkWrite(doc, context, this.modelName);
+      if (error) {
+        return next(error);
+      }
+    }
+    next();
+  });
+};
+
+export default tenantScope;
@@ -0,0 +1,21 @@
+import express from 'express';
+import {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
+} from '../controllers/apiKeys.js';
+import { protect, requireVerifiedEmail } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+
+// API key routes
+router.route('/')
+  .get(getApiKeys)
+  .post(requireVerifiedEmail('api_key'), createApiKey);
+
+router.delete('/:id', revokeApiKey);
+
+export default router;
@@ -2,10 +2,27 @@ import express from 'express';
 import { 
   register, 
   login, 
+  loginTwoFactor,
   logout, 
-  getMe, 
-  generateApiKey 
+  refresh,
+  switchTeam,
+  getSessions,
+  deleteSession,
+  forgotPassword,
+  resetPassword,
+  ssoStart,
+  ssoCallback,
+  ssoExchange,
+  verifyEmail,
+  resendVerificationEmail,
+  getMe
 } from '../controllers/auth.js';
+import {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} from '../controllers/twoFactor.js';
 import { protect } from '../middlewares/auth.js';
 
 const router = express.Router();
@@ -25,10 +42,25 @@ router.post('/register', (req, res, next) => {
 }, register);
 
 router.post('/login', login);
-router.post('/logout', logout);
+router.post('/login/2fa', loginTwoFactor);
+router.post('/refresh', refresh);
+router.post('/forgot-password', forgotPassword);
+router.put('/reset-password/:resettoken', resetPassword);
+router.put('/verify-email/:verificationtoken', verifyEmail);
+router.get('/sso/callback', ssoCallback);
+router.post('/sso/exchange', ssoExchange);
+router.get('/sso/:slug/start', ssoStart);
 
 // Protected routes - require authentication
+router.post('/logout', protect, logout);
+router.post('/switch-team', protect, switchTeam);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, deleteSession);
 router.get('/me', protect, getMe);
-router.post('/api-key', protect, generateApiKey);
+router.post('/verify-email/resend', protect, resendVerificationEmail);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, enableTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
 
 export default router; 
\ No newline at end of file
@@ -5,9 +5,10 @@ import {
   createChat,
   updateChat,
   deleteChat,
-  sendMessage
+  sendMessage,
+  streamMessage
 } from '../controllers/chat.js';
-import { protect } from '../middlewares/auth.js';
+import { protect, requireTeamPermission } from '../middlewares/auth.js';
 
 const router = express.Router();
 
@@ -16,15 +17,16 @@ router.use(protect);
 
 // Chat routes
 router.route('/')
-  .get(getChats)
-  .post(createChat);
+  .get(requireTeamPermission('view_chats'), getChats)
+  .post(requireTeamPermission('start_chat'), createChat);
 
 router.route('/:id')
-  .get(getChat)
-  .put(updateChat)
-  .delete(deleteChat);
+  .get(requireTeamPermission('view_chats'), getChat)
+  .put(requireTeamPermission('manage_chats'), updateChat)
+  .delete(requireTeamPermission('manage_chats'), deleteChat);
 
 // Chat messages route
-router.post('/:id/messages', sendMessage);
+router.post('/:id/messages', requireTeamPermission('send_message'), sendMessage);
+router.post('/:id/messages/stream', requireTeamPermission('send_message'), streamMessage);
 
 export default router; 
\ No newline at end of file
@@ -4,9 +4,11 @@ import {
   getDocuments,
   getDocument,
   updateDocument,
-  deleteDocument
+  deleteDocument,
+  shareDocument,
+  unshareDocument
 } from '../controllers/documents.js';
-import { protect } from '../middlewares/auth.js';
+import { protect, requireTeamPermission } from '../middlewares/auth.js';
 
 const router = express.Router();
 
@@ -15,12 +17,15 @@ router.use(protect);
 
 // Document routes
 router.route('/')
-  .get(getDocuments)
-  .post(uploadDocument);
+  .get(requireTeamPermission('view_documents'), getDocuments)
+  .post(requireTeamPermission('upload_document'), uploadDocument);
 
 router.route('/:id')
-  .get(getDocument)
-  .put(updateDocument)
-  .delete(deleteDocument);
+  .get(requireTeamPermission('view_documents'), getDocument)
+  .put(requireTeamPermission('edit_document'), updateDocument)
+  .delete(requireTeamPermission('delete_document'), deleteDocument);
+
+router.post('/:id/share', requireTeamPermission('share_document'), shareDocument);
+router.delete('/:id/share/:granteeId', requireTeamPermission('share_document'), unshareDocument);
 
 export default router; 
\ No newline at end of file
@@ -0,0 +1,18 @@
+import express from 'express';
+import {
+  getInvitation,
+  acceptInvitation,
+  rejectInvitation
+} from '../controllers/invitations.js';
+import { protect } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+// Public routes - the token in the link identifies the invitation
+router.get('/:token', getInvitation);
+router.post('/:token/reject', rejectInvitation);
+
+// Protected routes - accepting joins the signed-in user to the team
+router.post('/:token/accept', protect, acceptInvitation);
+
+export default router;
@@ -3,10 +3,17 @@ import {
   getModels,
   getModel,
   createModel,
+  updateModel,
+  attachDocuments,
+  detachDocument,
   trainModel,
+  cancelTraining,
+  getTrainingRuns,
+  shareModel,
+  unshareModel,
   deleteModel
 } from '../controllers/models.js';
-import { protect } from '../middlewares/auth.js';
+import { protect, requireTeamPermission } from '../middlewares/auth.js';
 
 const router = express.Router();
 
@@ -15,14 +22,24 @@ router.use(protect);
 
 // Model routes
 router.route('/')
-  .get(getModels)
-  .post(createModel);
+  .get(requireTeamPermission('view_models'), getModels)
+  .post(requireTeamPermission('create_model'), createModel);
 
 router.route('/:id')
-  .get(getModel)
-  .delete(deleteModel);
+  .get(requireTeamPermission('view_models'), getModel)
+  .put(requireTeamPermission('edit_model'), updateModel)
+  .delete(requireTeamPermission('delete_model'), deleteModel);
+
+router.post('/:id/documents', requireTeamPermission('edit_model'), attachDocuments);
+router.delete('/:id/documents/:documentId', requireTeamPermission('edit_model'), detachDocument);
 
 router.route('/:id/train')
-  .post(trainModel);
+  .post(requireTeamPermission('train_model'), trainModel);
+
+router.post('/:id/train/cancel', requireTeamPermission('train_model'), cancelTraining);
+router.get('/:id/runs', requireTeamPermission('view_models'), getTrainingRuns);
+
+router.post('/:id/share', requireTeamPermission('share_model'), shareModel);
+router.delete('/:id/share/:granteeId', requireTeamPermission('share_model'), unshareModel);
 
 export default router; 
\ No newline at end of file
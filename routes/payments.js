@@ -7,7 +7,7 @@ import {
   getPaymentHistory,
   updatePaymentMethod
 } from '../controllers/payments.js';
-import { protect } from '../middlewares/auth.js';
+import { protect, requireVerifiedEmail, requireTeamPermission } from '../middlewares/auth.js';
 
 const router = express.Router();
 
@@ -17,9 +17,9 @@ router.use(protect);
 // Payment routes
 router.get('/plans', getPlans);
 router.get('/subscription', getCurrentSubscription);
-router.post('/subscribe', subscribe);
-router.post('/cancel', cancelSubscription);
-router.get('/history', getPaymentHistory);
-router.put('/method', updatePaymentMethod);
+router.post('/subscribe', requireVerifiedEmail('subscribe'), requireTeamPermission('manage_billing'), subscribe);
+router.post('/cancel', requireTeamPermission('manage_billing'), cancelSubscription);
+router.get('/history', requireTeamPermission('view_billing'), getPaymentHistory);
+router.put('/method', requireTeamPermission('manage_billing'), updatePaymentMethod);
 
 export default router; 
\ No newline at end of file
@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getConnections,
+  createConnection,
+  updateConnection,
+  deleteConnection,
+  verifyDomain
+} from '../controllers/sso.js';
+import { protect, authorizeUserType } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+// SSO is configured by business accounts
+router.use(protect);
+router.use(authorizeUserType('business'));
+
+router.route('/connections')
+  .get(getConnections)
+  .post(createConnection);
+
+router.route('/connections/:id')
+  .put(updateConnection)
+  .delete(deleteConnection);
+
+router.post('/connections/:id/domains/:domain/verify', verifyDomain);
+
+export default router;
@@ -5,11 +5,21 @@ import {
   createTeam,
   updateTeam,
   deleteTeam,
-  addTeamMember,
   removeTeamMember,
-  updateMemberRole
+  updateMemberRole,
+  leaveTeam,
+  transferOwnership,
+  cancelOwnershipTransfer,
+  acceptOwnershipTransfer,
+  declineOwnershipTransfer
 } from '../controllers/teams.js';
-import { protect } from '../middlewares/auth.js';
+import {
+  inviteTeamMember,
+  getTeamInvitations,
+  resendTeamInvitation,
+  revokeTeamInvitation
+} from '../controllers/invitations.js';
+import { protect, requireVerifiedEmail, requireTeamPermission } from '../middlewares/auth.js';
 
 const router = express.Router();
 
@@ -19,19 +29,41 @@ router.use(protect);
 // Team routes
 router.route('/')
   .get(getTeams)
-  .post(createTeam);
+  .post(requireVerifiedEmail('team_create'), createTeam);
+
+// Team-scoped routes check the user's role in the team from :id
+const can = (action) => requireTeamPermission(action, { param: 'id' });
 
 router.route('/:id')
-  .get(getTeam)
-  .put(updateTeam)
-  .delete(deleteTeam);
+  .get(can('view_team'), getTeam)
+  .put(can('update_team'), updateTeam)
+  .delete(can('delete_team'), deleteTeam);
 
 // Team member routes
+// Members are added by invitation; POST /members is kept for existing clients
 router.route('/:id/members')
-  .post(addTeamMember);
+  .post(can('manage_members'), inviteTeamMember);
 
 router.route('/:id/members/:userId')
-  .put(updateMemberRole)
-  .delete(removeTeamMember);
+  .put(can('change_member_roles'), updateMemberRole)
+  .delete(can('manage_members'), removeTeamMember);
+
+router.post('/:id/leave', can('leave_team'), leaveTeam);
+
+// Ownership transfer routes; the new owner confirms as a member
+router.route('/:id/transfer')
+  .post(can('transfer_ownership'), transferOwnership)
+  .delete(can('transfer_ownership'), cancelOwnershipTransfer);
+
+router.post('/:id/transfer/accept', can('view_team'), acceptOwnershipTransfer);
+router.post('/:id/transfer/decline', can('view_team'), declineOwnershipTransfer);
+
+// Invitation routes
+router.route('/:id/invitations')
+  .get(can('manage_members'), getTeamInvitations)
+  .post(can('manage_members'), inviteTeamMember);
+
+router.post('/:id/invitations/:invitationId/resend', can('manage_members'), resendTeamInvitation);
+router.delete('/:id/invitations/:invitationId', can('manage_members'), revokeTeamInvitation);
 
 export default router; 
\ No newline at end of file
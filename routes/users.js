@@ -4,9 +4,11 @@ import {
   updateUserProfile,
   changePassword,
   getUserUsage,
-  deleteAccount
+  deleteAccount,
+  getAccountLock,
+  unlockUserAccount
 } from '../controllers/users.js';
-import { protect } from '../middlewares/auth.js';
+import { protect, authorize } from '../middlewares/auth.js';
 
 const router = express.Router();
 
@@ -21,4 +23,8 @@ router.put('/change-password', changePassword);
 router.get('/usage', getUserUsage);
 router.delete('/', deleteAccount);
 
+// Admin routes
+router.get('/:id/lock', authorize('admin'), getAccountLock);
+router.post('/:id/unlock', authorize('admin'), unlockUserAccount);
+
 export default router; 
\ No newline at end of file
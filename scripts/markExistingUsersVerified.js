@@ -0,0 +1,50 @@
+/**
+ * Migration Script: Mark users created before email verification as verified
+ * 
+ * Accounts that existed before the emailVerified field was added never got a
+ * verification email. This script marks them as verified so the verification
+ * policy does not lock them out of team creation, subscriptions and API keys.
+ * Only users without an emailVerified value are touched.
+ * 
+ * Run with: node scripts/markExistingUsersVerified.js
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import User from '../models/User.js';
+
+// Configure environment variables
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+// Connect to MongoDB
+console.log('Connecting to MongoDB...');
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-document-chat-saas')
+  .then(() => console.log('MongoDB connected'))
+  .catch(err => {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  });
+
+const markExistingUsersVerified = async () => {
+  try {
+    const result = await User.updateMany(
+      { emailVerified: { $exists: false } },
+      { emailVerified: true, emailVerifiedAt: new Date() }
+    );
+
+    console.log(`Migration complete: Marked ${result.modifiedCount} existing users as verified.`);
+  } catch (error) {
+    console.error('Error during migration:', error);
+  } finally {
+    // Close the database connection
+    mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+};
+
+// Run the migration
+markExistingUsersVerified();
@@ -0,0 +1,60 @@
+/**
+ * Migration Script: Tag existing chats with their team
+ * 
+ * Chat lists are now scoped to the active team, and chats created before that
+ * have no team, so they only show up in the personal workspace. This script
+ * tags each untagged chat with the team of its AI model when the chat's user
+ * belongs to that team. Other chats stay personal.
+ * 
+ * Run with: node scripts/migrateChatTeams.js
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Chat from '../models/Chat.js';
+import AIModel from '../models/AIModel.js';
+import { isMemberOfTeam } from '../services/teams.js';
+import { runAsSystem } from '../utils/tenantContext.js';
+
+// Configure environment variables
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+// Connect to MongoDB
+console.log('Connecting to MongoDB...');
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-document-chat-saas')
+  .then(() => console.log('MongoDB connected'))
+  .catch(err => {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  });
+
+const migrateChatTeams = async () => {
+  try {
+    const chats = await Chat.find({ team: null }).select('user aiModel');
+    let tagged = 0;
+
+    for (const chat of chats) {
+      const model = await AIModel.findById(chat.aiModel).select('team');
+
+      if (model?.team && await isMemberOfTeam(model.team, chat.user)) {
+        await Chat.updateOne({ _id: chat._id }, { team: model.team });
+        tagged++;
+      }
+    }
+
+    console.log(`Migration complete: Tagged ${tagged} of ${chats.length} untagged chats with their team.`);
+  } catch (error) {
+    console.error('Error during migration:', error);
+  } finally {
+    // Close the database connection
+    mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+};
+
+// Run the migration; scripts work across tenants
+runAsSystem(migrateChatTeams);
@@ -14,6 +14,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import Company from '../models/Company.js';
 import CompanyContext from '../models/CompanyContext.js';
+import { runAsSystem } from '../utils/tenantContext.js';
 
 // Configure environment variables
 const __filename = fileURLToPath(import.meta.url);
@@ -57,6 +58,7 @@ const migrateCompanyContexts = async () => {
       if (company.documentContext) {
         await CompanyContext.create({
           company_id: company.companyId,
+          tenant: company.tenant ?? null,
           context: company.documentContext,
           version: 1,
           isActive: true,
@@ -81,5 +83,5 @@ const migrateCompanyContexts = async () => {
   }
 };
 
-// Run the migration
-migrateCompanyContexts(); 
\ No newline at end of file
+// Run the migration; scripts work across tenants
+runAsSystem(migrateCompanyContexts); 
\ No newline at end of file
@@ -0,0 +1,90 @@
+/**
+ * Migration Script: Assign an owner and tenant to existing companies
+ *
+ * Companies are now owned by the user who created them and scoped to a
+ * tenant like documents and models. Companies created from a summary have an
+ * ID starting with the creator's user ID; this script makes that user the
+ * owner and moves the company and its contexts into the user's home tenant.
+ * Companies whose creator can't be found are listed and left without an
+ * owner; only admins can see them until they are assigned by hand.
+ * Companies that already have an owner are skipped.
+ *
+ * Run with: node scripts/migrateCompanyOwners.js
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Company from '../models/Company.js';
+import CompanyContext from '../models/CompanyContext.js';
+import User from '../models/User.js';
+import { getHomeTenantId } from '../services/tenancy.js';
+import { runAsSystem } from '../utils/tenantContext.js';
+
+// Configure environment variables
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+// Connect to MongoDB
+console.log('Connecting to MongoDB...');
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-document-chat-saas')
+  .then(() => console.log('MongoDB connected'))
+  .catch(err => {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  });
+
+/**
+ * Finds the user a company ID was generated for (`<userId>-<timestamp>-<random>`)
+ */
+const findCreator = async (companyId) => {
+  const [userId] = companyId.split('-');
+  if (!mongoose.isValidObjectId(userId)) {
+    return null;
+  }
+  return User.findById(userId).select('userType parentBusinessId');
+};
+
+const migrateCompanyOwners = async () => {
+  try {
+    const companies = await Company.find({ owner: { $exists: false } }).select('companyId');
+    console.log(`Found ${companies.length} companies without an owner`);
+
+    let assigned = 0;
+    const unowned = [];
+
+    for (const company of companies) {
+      const creator = await findCreator(company.companyId);
+
+      if (!creator) {
+        unowned.push(company.companyId);
+        continue;
+      }
+
+      const tenant = getHomeTenantId(creator);
+      await Company.updateOne({ _id: company._id }, { owner: creator._id, tenant });
+      await CompanyContext.updateMany({ company_id: company.companyId }, { tenant });
+      assigned++;
+    }
+
+    // Contexts of the remaining companies follow them into the null tenant
+    await CompanyContext.updateMany({ tenant: { $exists: false } }, { tenant: null });
+    await Company.updateMany({ tenant: { $exists: false } }, { tenant: null });
+
+    console.log(`Migration complete: assigned ${assigned} companies.`);
+    if (unowned.length > 0) {
+      console.log(`No creator found for ${unowned.length} companies: ${unowned.join(', ')}`);
+    }
+  } catch (error) {
+    console.error('Error during migration:', error);
+  } finally {
+    // Close the database connection
+    mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+};
+
+// Run the migration; scripts work across tenants
+runAsSystem(migrateCompanyOwners);
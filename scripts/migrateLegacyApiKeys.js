@@ -0,0 +1,79 @@
+/**
+ * Migration Script: Move legacy API keys into the ApiKey collection
+ * 
+ * API keys used to be one-year JWTs stored in plaintext on the user. This
+ * script stores a hash of each one as an ApiKey named "Legacy key" with all
+ * scopes and the JWT's original expiry, so existing integrations keep working,
+ * then removes the plaintext key from the user.
+ * 
+ * Run with: node scripts/migrateLegacyApiKeys.js
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import jwt from 'jsonwebtoken';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import User from '../models/User.js';
+import ApiKey from '../models/ApiKey.js';
+import { hashApiKey } from '../services/apiKeys.js';
+import { API_SCOPES } from '../utils/apiScopes.js';
+
+// Configure environment variables
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+// Connect to MongoDB
+console.log('Connecting to MongoDB...');
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-document-chat-saas')
+  .then(() => console.log('MongoDB connected'))
+  .catch(err => {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  });
+
+const migrateLegacyApiKeys = async () => {
+  try {
+    // The apiKey field is no longer in the User schema, so read the raw documents
+    const users = await User.collection.find({ apiKey: { $exists: true, $ne: null } }).toArray();
+    console.log(`Found ${users.length} users with a legacy API key`);
+
+    let migrated = 0;
+    let expired = 0;
+
+    for (const user of users) {
+      const decoded = jwt.decode(user.apiKey);
+      const expiresAt = decoded?.exp ? new Date(decoded.exp * 1000) : undefined;
+
+      if (expiresAt && expiresAt <= new Date()) {
+        console.log(`Legacy key of user ${user._id} has expired, dropping it...`);
+        expired++;
+      } else if (!(await ApiKey.exists({ keyHash: hashApiKey(user.apiKey) }))) {
+        await ApiKey.create({
+          name: 'Legacy key',
+          user: user._id,
+          keyHash: hashApiKey(user.apiKey),
+          prefix: user.apiKey.slice(0, 10),
+          scopes: API_SCOPES,
+          expiresAt
+        });
+        migrated++;
+        console.log(`Migrated legacy key of user ${user._id}`);
+      }
+
+      await User.collection.updateOne({ _id: user._id }, { $unset: { apiKey: '' } });
+    }
+
+    console.log(`Migration complete: Migrated ${migrated} keys, dropped ${expired} expired keys.`);
+  } catch (error) {
+    console.error('Error during migration:', error);
+  } finally {
+    // Close the database connection
+    mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+};
+
+// Run the migration
+migrateLegacyApiKeys();
@@ -0,0 +1,82 @@
+/**
+ * Migration Script: Convert sharedWith entries to share grants
+ *
+ * Documents and AI models used to list the users they were shared with as
+ * bare user IDs. Shares are now `{ user | team, permission, sharedBy, sharedAt }`
+ * grants, and bare IDs grant nothing. This script turns each bare ID into a
+ * read share for that user, made by the resource's owner. Entries that are
+ * already grants are left as they are.
+ *
+ * Run with: node scripts/migrateSharedWith.js
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Document from '../models/Document.js';
+import AIModel from '../models/AIModel.js';
+import { runAsSystem } from '../utils/tenantContext.js';
+
+// Configure environment variables
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+// Connect to MongoDB
+console.log('Connecting to MongoDB...');
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-document-chat-saas')
+  .then(() => console.log('MongoDB connected'))
+  .catch(err => {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  });
+
+/**
+ * Rewrites the bare user IDs in sharedWith of one collection
+ * The raw collection is used, as the schema would cast the old entries away.
+ * @returns {Promise<number>} Number of resources updated
+ */
+const migrateCollection = async (Model) => {
+  const resources = await Model.collection
+    .find({ sharedWith: { $type: 'objectId' } })
+    .project({ user: 1, sharedWith: 1, updatedAt: 1, createdAt: 1 })
+    .toArray();
+
+  for (const resource of resources) {
+    const sharedAt = resource.updatedAt || resource.createdAt || new Date();
+    const sharedWith = resource.sharedWith.map(entry => (
+      entry instanceof mongoose.mongo.ObjectId
+        ? {
+          _id: new mongoose.mongo.ObjectId(),
+          user: entry,
+          permission: 'read',
+          sharedBy: resource.user,
+          sharedAt
+        }
+        : entry
+    ));
+
+    await Model.collection.updateOne({ _id: resource._id }, { $set: { sharedWith } });
+  }
+
+  return resources.length;
+};
+
+const migrateSharedWith = async () => {
+  try {
+    const documents = await migrateCollection(Document);
+    const models = await migrateCollection(AIModel);
+
+    console.log(`Migration complete: converted shares of ${documents} documents and ${models} AI models.`);
+  } catch (error) {
+    console.error('Error during migration:', error);
+  } finally {
+    // Close the database connection
+    mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+};
+
+// Run the migration; scripts work across tenants
+runAsSystem(migrateSharedWith);
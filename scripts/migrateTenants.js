@@ -0,0 +1,115 @@
+/**
+ * Migration Script: Assign a tenant to existing documents, models and chats
+ * 
+ * Documents, models, chats, document chunks and training runs are now scoped
+ * to a tenant (the business account they belong to, or null for individual
+ * accounts). Records created before that have no tenant, so business users
+ * can't see them. This script assigns one: the business of the record's team,
+ * otherwise the business of its user. Chunks and training runs follow their
+ * document or model. Records that already have a tenant are skipped.
+ * 
+ * Run with: node scripts/migrateTenants.js
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Document from '../models/Document.js';
+import DocumentChunk from '../models/DocumentChunk.js';
+import AIModel from '../models/AIModel.js';
+import Chat from '../models/Chat.js';
+import TrainingRun from '../models/TrainingRun.js';
+import Team from '../models/Team.js';
+import User from '../models/User.js';
+import { getTeamTenantId, getHomeTenantId } from '../services/tenancy.js';
+import { runAsSystem } from '../utils/tenantContext.js';
+
+// Configure environment variables
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+// Connect to MongoDB
+console.log('Connecting to MongoDB...');
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-document-chat-saas')
+  .then(() => console.log('MongoDB connected'))
+  .catch(err => {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  });
+
+const untagged = { tenant: { $exists: false } };
+const tenantCache = new Map();
+
+/**
+ * Looks up the tenant for a record from its team or user, with caching
+ */
+const findTenant = async ({ team, user }) => {
+  const key = team ? `team:${team}` : `user:${user}`;
+
+  if (!tenantCache.has(key)) {
+    let tenant = null;
+    if (team) {
+      const teamDoc = await Team.findById(team).select('businessId owner');
+      tenant = teamDoc ? getTeamTenantId(teamDoc) : null;
+    }
+    if (!tenant && user) {
+      const userDoc = await User.findById(user).select('userType parentBusinessId');
+      tenant = userDoc ? getHomeTenantId(userDoc) : null;
+    }
+    tenantCache.set(key, tenant);
+  }
+
+  return tenantCache.get(key);
+};
+
+/**
+ * Tags untagged records of a model from their team or user
+ */
+const tagOwnedRecords = async (Model) => {
+  const records = await Model.find(untagged).select('team user');
+
+  for (const record of records) {
+    await Model.updateOne({ _id: record._id }, { tenant: await findTenant(record) });
+  }
+
+  console.log(`${Model.modelName}: tagged ${records.length} records`);
+};
+
+/**
+ * Tags untagged records of a model from the parent record they belong to
+ */
+const tagFromParent = async (Model, parentField, Parent) => {
+  const parentIds = await Model.distinct(parentField, untagged);
+
+  for (const parentId of parentIds) {
+    const parent = await Parent.findById(parentId).select('tenant');
+    const result = await Model.updateMany(
+      { ...untagged, [parentField]: parentId },
+      { tenant: parent?.tenant ?? null }
+    );
+    console.log(`${Model.modelName}: tagged ${result.modifiedCount} records of ${Parent.modelName} ${parentId}`);
+  }
+};
+
+const migrateTenants = async () => {
+  try {
+    await tagOwnedRecords(Document);
+    await tagOwnedRecords(AIModel);
+    await tagOwnedRecords(Chat);
+    await tagFromParent(DocumentChunk, 'document', Document);
+    await tagFromParent(TrainingRun, 'model', AIModel);
+
+    console.log('Migration complete.');
+  } catch (error) {
+    console.error('Error during migration:', error);
+  } finally {
+    // Close the database connection
+    mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+};
+
+// Run the migration; scripts work across tenants
+runAsSystem(migrateTenants);
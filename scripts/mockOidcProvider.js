@@ -0,0 +1,130 @@
+/**
+ * Mock OpenID Connect Provider
+ * 
+ * A minimal identity provider for developing and testing SSO locally. It
+ * implements discovery, the authorization endpoint (signing the user in
+ * immediately, without a login page), the token endpoint with PKCE (S256)
+ * checks, and a JWKS endpoint with a key generated at startup.
+ * 
+ * The signed-in email comes from the login_hint parameter, falling back to
+ * MOCK_IDP_EMAIL. Configure an SSO connection with:
+ *   issuer:       http://localhost:4000 (MOCK_IDP_PORT)
+ *   clientId:     mock-client           (MOCK_IDP_CLIENT_ID)
+ *   clientSecret: mock-secret           (MOCK_IDP_CLIENT_SECRET)
+ * and start the API with SSO_ALLOW_INSECURE_ISSUERS=true, as identity providers
+ * must otherwise be on a public https address.
+ * 
+ * Run with: node scripts/mockOidcProvider.js
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const PORT = parseInt(process.env.MOCK_IDP_PORT, 10) || 4000;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_IDP_CLIENT_ID || 'mock-client';
+const CLIENT_SECRET = process.env.MOCK_IDP_CLIENT_SECRET || 'mock-secret';
+const DEFAULT_EMAIL = process.env.MOCK_IDP_EMAIL || 'jane.doe@example.com';
+
+// Signing key, regenerated on every start
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString('hex');
+
+// Authorization codes waiting to be redeemed
+const codes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType, state, nonce } = req.query;
+
+  if (clientId !== CLIENT_ID || responseType !== 'code' || !redirectUri) {
+    return res.status(400).json({ error: 'invalid_request' });
+  }
+  if (req.query.code_challenge_method !== 'S256' || !req.query.code_challenge) {
+    return res.status(400).json({ error: 'invalid_request', error_description: 'PKCE S256 is required' });
+  }
+
+  const email = req.query.login_hint || DEFAULT_EMAIL;
+  const code = crypto.randomBytes(16).toString('hex');
+
+  codes.set(code, {
+    redirectUri,
+    nonce,
+    email,
+    codeChallenge: req.query.code_challenge,
+    expiresAt: Date.now() + 60 * 1000
+  });
+
+  console.log(`Signed in ${email}, redirecting to ${redirectUri}`);
+
+  const location = new URL(redirectUri);
+  location.searchParams.set('code', code);
+  if (state) {
+    location.searchParams.set('state', state);
+  }
+  res.redirect(location.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type: grantType, code, redirect_uri: redirectUri, client_id: clientId, client_secret: clientSecret, code_verifier: codeVerifier } = req.body;
+
+  if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const grant = codes.get(code);
+  codes.delete(code);
+
+  if (grantType !== 'authorization_code' || !grant || grant.expiresAt < Date.now() || grant.redirectUri !== redirectUri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(codeVerifier || '').digest('base64url');
+  if (challenge !== grant.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const [localPart] = grant.email.split('@');
+  const idToken = jwt.sign(
+    {
+      sub: crypto.createHash('sha256').update(grant.email).digest('hex').slice(0, 24),
+      email: grant.email,
+      email_verified: true,
+      name: localPart.split(/[._-]/).map(part => part.charAt(0).toUpperCase() + part.slice(1)).join(' '),
+      nonce: grant.nonce
+    },
+    privateKey,
+    { algorithm: 'RS256', keyid: kid, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m' }
+  );
+
+  res.json({
+    access_token: crypto.randomBytes(16).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER}`);
+});
@@ -12,6 +12,7 @@ dotenv.config({ path: path.join(__dirname, '..', '.env') });
 
 // Import Company model
 import Company from '../models/Company.js';
+import { runAsSystem } from '../utils/tenantContext.js';
 
 // MongoDB connection string
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-document-chat-saas';
@@ -32,7 +33,9 @@ Frequently asked questions:
 `,
   chatbotUrl: 'http://localhost:5178/support/company-abc123',
   trainingStatus: 'completed',
-  brandColor: '#4f46e5'
+  brandColor: '#4f46e5',
+  // Test companies have no owner and live in the individual accounts' tenant
+  tenant: null
 };
 
 // User-specific company data
@@ -58,12 +61,14 @@ Frequently Asked Questions:
 `,
   chatbotUrl: 'http://localhost:5178/support/company-nxkylw',
   trainingStatus: 'completed',
-  brandColor: '#0ea5e9'
+  brandColor: '#0ea5e9',
+  tenant: null
 };
 
 // Connect to MongoDB
 mongoose.connect(MONGODB_URI)
-  .then(async () => {
+  // Seeding works outside tenant scoping
+  .then(() => runAsSystem(async () => {
     console.log('MongoDB connected successfully');
 
     try {
@@ -122,7 +127,8 @@ For support, contact us at support@example.com or call 555-123-4567.
 `,
         chatbotUrl: 'http://localhost:5178/support/company-def456',
         trainingStatus: 'completed',
-        brandColor: '#10b981'
+        brandColor: '#10b981',
+        tenant: null
       };
       
       const existingSecondCompany = await Company.findOne({ companyId: anotherCompany.companyId });
@@ -146,7 +152,7 @@ For support, contact us at support@example.com or call 555-123-4567.
       mongoose.connection.close();
       console.log('MongoDB connection closed');
     }
-  })
+  }))
   .catch(err => {
     console.error('MongoDB connection error:', err);
     process.exit(1);
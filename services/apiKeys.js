@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
+import Team from '../models/Team.js';
+import { Subscription } from '../models/Subscription.js';
+
+const KEY_PREFIX = 'sk_';
+const DISPLAY_PREFIX_LENGTH = 10;
+// Avoid a write on every request; last-used time is only tracked to the minute
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Hashes an API key for storage and lookup
+ * @param {string} key - Plain API key
+ * @returns {string} sha256 hex digest
+ */
+export const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Creates an API key
+ * @param {Object} options - { name, user, team, scopes, expiresAt }
+ * @returns {Promise<Object>} { apiKey, key } - stored document and the plain key, shown once
+ */
+export const createApiKey = async ({ name, user, team, scopes, expiresAt }) => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiKey = await ApiKey.create({
+    name,
+    user,
+    team,
+    scopes: [...new Set(scopes)],
+    expiresAt,
+    keyHash: hashApiKey(key),
+    prefix: key.slice(0, DISPLAY_PREFIX_LENGTH)
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * Finds the active API key matching a presented key
+ * @param {string} key - Value of the x-api-key header
+ * @returns {Promise<Object|null>} API key, or null if unknown, revoked or expired
+ */
+export const findActiveApiKey = async (key) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key) });
+  return apiKey && apiKey.isActive() ? apiKey : null;
+};
+
+/**
+ * Records that an API key was used
+ * @param {Object} apiKey - API key
+ * @param {string} ip - Client IP
+ */
+export const touchApiKey = async (apiKey, ip) => {
+  if (apiKey.lastUsedAt && Date.now() - apiKey.lastUsedAt < LAST_USED_RESOLUTION_MS) {
+    return;
+  }
+  await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: Date.now(), lastUsedIp: ip });
+};
+
+/**
+ * Checks whether an account's plan includes API access
+ * The active subscription decides, as in the payments API; `User.apiAccess`
+ * grants access regardless of plan
+ * @param {string} userId - Account whose plan applies
+ * @returns {Promise<boolean>} True if API keys may be used
+ */
+export const planAllowsApiAccess = async (userId) => {
+  const user = await User.findById(userId).select('apiAccess');
+  if (!user) {
+    return false;
+  }
+  if (user.apiAccess) {
+    return true;
+  }
+
+  const subscription = await Subscription.findOne({
+    user: userId,
+    status: { $in: ['active', 'trialing'] }
+  });
+
+  return Boolean(subscription && (subscription.features?.apiAccess ?? subscription.getPlanLimits().apiAccess));
+};
+
+/**
+ * Returns the account whose plan covers an API key: the team owner for team
+ * keys, otherwise the key's creator
+ * @param {Object} apiKey - API key, or { user, team } for a key about to be created
+ * @returns {Promise<string>} User ID
+ */
+export const getBillingAccountId = async ({ user, team }) => {
+  if (team) {
+    const owner = await Team.findById(team).select('owner');
+    if (owner) {
+      return owner.owner;
+    }
+  }
+  return user;
+};
@@ -0,0 +1,64 @@
+const DEFAULT_CHUNK_SIZE = parseInt(process.env.CHUNK_SIZE, 10) || 1000;
+const DEFAULT_CHUNK_OVERLAP = parseInt(process.env.CHUNK_OVERLAP, 10) || 200;
+
+/**
+ * Moves an offset back to the nearest whitespace so chunks don't split words
+ * @param {string} text - Page text
+ * @param {number} offset - Proposed offset
+ * @param {number} minOffset - Offset that must not be crossed
+ * @returns {number} Adjusted offset
+ */
+const snapToWordBoundary = (text, offset, minOffset) => {
+  if (offset >= text.length) {
+    return text.length;
+  }
+
+  const boundary = text.lastIndexOf(' ', offset);
+  const newline = text.lastIndexOf('\n', offset);
+  const snapped = Math.max(boundary, newline);
+
+  return snapped > minOffset ? snapped : offset;
+};
+
+/**
+ * Splits a document's pages into overlapping chunks
+ * Chunks never span pages, so every chunk can be traced back to one page
+ * @param {Array<Object>} pages - [{ pageNumber, text }]
+ * @param {Object} options - { chunkSize, overlap } in characters
+ * @returns {Array<Object>} [{ chunkIndex, pageNumber, startOffset, endOffset, text }]
+ */
+export const chunkPages = (pages, options = {}) => {
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const overlap = Math.min(options.overlap ?? DEFAULT_CHUNK_OVERLAP, Math.floor(chunkSize / 2));
+  const chunks = [];
+
+  for (const page of pages) {
+    const text = page.text || '';
+    let start = 0;
+
+    while (start < text.length) {
+      const end = snapToWordBoundary(text, start + chunkSize, start + overlap);
+      const chunkText = text.slice(start, end).trim();
+
+      if (chunkText) {
+        chunks.push({
+          chunkIndex: chunks.length,
+          pageNumber: page.pageNumber,
+          startOffset: start,
+          endOffset: end,
+          text: chunkText
+        });
+      }
+
+      if (end >= text.length) {
+        break;
+      }
+
+      // Step forward, keeping `overlap` characters of context
+      const next = snapToWordBoundary(text, end - overlap, start);
+      start = /\s/.test(text[next]) ? next + 1 : next;
+    }
+  }
+
+  return chunks;
+};
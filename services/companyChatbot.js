@@ -0,0 +1,268 @@
+import crypto from 'crypto';
+import CompanyContext from '../models/CompanyContext.js';
+import CompanyConversation from '../models/CompanyConversation.js';
+import Usage from '../models/Usage.js';
+import createError from '../utils/errorResponse.js';
+import { getThrottleStore } from './throttle/index.js';
+import { getLLMProvider } from './llm/index.js';
+import { buildCompanyChatMessages } from './llm/prompt.js';
+
+/**
+ * Reads the public chatbot limits from the environment
+ * The per-IP limit counts req.ip, so deployments behind a reverse proxy must
+ * set TRUST_PROXY (see app.js), or all visitors share the proxy's address.
+ * @returns {Object} Limits, in messages, characters, days and ms
+ */
+export const getChatbotConfig = () => ({
+  baseModel: process.env.CHATBOT_BASE_MODEL || 'gemini',
+  maxMessageLength: parseInt(process.env.CHATBOT_MAX_MESSAGE_LENGTH, 10) || 2000,
+  sessionDays: parseInt(process.env.CHATBOT_SESSION_DAYS, 10) || 30,
+  visitorMaxMessages: parseInt(process.env.CHATBOT_VISITOR_MAX_MESSAGES, 10) || 10,
+  visitorWindowMs: parseInt(process.env.CHATBOT_VISITOR_WINDOW_MS, 10) || 60 * 1000,
+  companyMaxMessages: parseInt(process.env.CHATBOT_COMPANY_MAX_MESSAGES, 10) || 300,
+  companyWindowMs: parseInt(process.env.CHATBOT_COMPANY_WINDOW_MS, 10) || 60 * 60 * 1000,
+  ipMaxVisitors: parseInt(process.env.CHATBOT_IP_MAX_VISITORS, 10) || 5,
+  ipWindowMs: parseInt(process.env.CHATBOT_IP_WINDOW_MS, 10) || 60 * 60 * 1000
+});
+
+/**
+ * Hashes a visitor token for storage and lookup
+ * @param {string} token - Token the visitor sent
+ * @returns {string} sha256 hex digest
+ */
+const hashVisitorToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Returns the current fixed window of a limit
+ * @param {string} key - Throttle key
+ * @param {number} windowMs - Window length
+ * @returns {Object} { windowKey, waitMs } - waitMs is the time until the window ends
+ */
+const getWindow = (key, windowMs) => {
+  const now = Date.now();
+  const windowStart = now - (now % windowMs);
+
+  return { windowKey: `${key}:${windowStart}`, waitMs: windowStart + windowMs - now };
+};
+
+/**
+ * Counts a hit in the current fixed window of a limit
+ * @param {string} key - Throttle key
+ * @param {number} max - Hits allowed per window
+ * @param {number} windowMs - Window length
+ * @returns {Promise<number>} ms until the window ends if the limit is exceeded, otherwise 0
+ */
+const hitLimit = async (key, max, windowMs) => {
+  const { windowKey, waitMs } = getWindow(key, windowMs);
+  const entry = await getThrottleStore().increment(windowKey, windowMs);
+
+  return entry.count > max ? waitMs : 0;
+};
+
+/**
+ * Checks a limit without counting a hit
+ * @param {string} key - Throttle key
+ * @param {number} max - Hits allowed per window
+ * @param {number} windowMs - Window length
+ * @returns {Promise<number>} ms until the window ends if the limit is used up, otherwise 0
+ */
+const peekLimit = async (key, max, windowMs) => {
+  const { windowKey, waitMs } = getWindow(key, windowMs);
+  const entry = await getThrottleStore().get(windowKey);
+
+  return entry && entry.count >= max ? waitMs : 0;
+};
+
+/**
+ * Counts a visitor message against the visitor's and the company's limits
+ * The company limit is only counted once the visitor limit passes, so one
+ * visitor can't use up the company's budget.
+ * @param {Object} options - { companyId, visitorTokenHash }
+ * @returns {Promise<Object|null>} { message, retryAfterMs } if the message must be refused
+ */
+const checkMessageLimits = async ({ companyId, visitorTokenHash }) => {
+  const config = getChatbotConfig();
+
+  const visitorWait = await hitLimit(`chatbot:visitor:${visitorTokenHash}`, config.visitorMaxMessages, config.visitorWindowMs);
+  if (visitorWait) {
+    return { message: 'You are sending messages too quickly. Wait before trying again', retryAfterMs: visitorWait };
+  }
+
+  const companyWait = await hitLimit(`chatbot:company:${companyId}`, config.companyMaxMessages, config.companyWindowMs);
+  if (companyWait) {
+    return { message: 'This chatbot is receiving too many messages. Try again later', retryAfterMs: companyWait };
+  }
+
+  return null;
+};
+
+/**
+ * Finds a visitor's conversation with a company
+ * Conversations idle for longer than the session length are not resumed.
+ * @param {string} companyId - Company ID
+ * @param {string} token - Visitor token, if the visitor sent one
+ * @returns {Promise<Object|null>} CompanyConversation
+ */
+export const findVisitorConversation = async (companyId, token) => {
+  if (!token) {
+    return null;
+  }
+
+  const { sessionDays } = getChatbotConfig();
+
+  return CompanyConversation.findOne({
+    company_id: companyId,
+    visitorTokenHash: hashVisitorToken(token),
+    lastMessageAt: { $gt: new Date(Date.now() - sessionDays * 24 * 60 * 60 * 1000) }
+  });
+};
+
+/**
+ * Starts a conversation for a new visitor
+ * The number of new visitors per IP is limited, so dropping the token doesn't
+ * get around the per-visitor limit. A visitor only counts once their first
+ * message has been answered (see answerVisitorMessage).
+ * @param {Object} company - Company document
+ * @param {Object} options - { ip, userAgent }
+ * @returns {Promise<Object>} { conversation, token }
+ */
+const startVisitorConversation = async (company, { ip, userAgent }) => {
+  const config = getChatbotConfig();
+
+  const ipWait = await peekLimit(`chatbot:ip:${ip}`, config.ipMaxVisitors, config.ipWindowMs);
+  if (ipWait) {
+    const error = createError('Too many new chatbot sessions from this network. Try again later', 429);
+    error.retryAfterMs = ipWait;
+    throw error;
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const conversation = new CompanyConversation({
+    company_id: company.companyId,
+    visitorTokenHash: hashVisitorToken(token),
+    ip,
+    userAgent
+  });
+
+  return { conversation, token };
+};
+
+/**
+ * Returns the context a company's chatbot answers from: the active
+ * CompanyContext, or the company's documentContext if it has none
+ * @param {Object} company - Company document
+ * @returns {Promise<Object>} { context, version }
+ */
+export const getActiveContext = async (company) => {
+  const active = await CompanyContext.findOne({
+    company_id: company.companyId,
+    isActive: true
+  }).sort({ version: -1 });
+
+  if (active) {
+    return { context: active.context, version: active.version };
+  }
+  if (company.documentContext) {
+    return { context: company.documentContext, version: 1 };
+  }
+
+  throw createError('This chatbot has no information to answer from yet', 503);
+};
+
+/**
+ * Answers a visitor's message from the company's active context
+ * Runs in the company's tenant. Visitors without a valid token get a new
+ * conversation and token.
+ * @param {Object} company - Company document
+ * @param {Object} options - { token, content, ip, userAgent }
+ * @returns {Promise<Object>} { conversation, message, token } - token is set for new visitors
+ */
+export const answerVisitorMessage = async (company, { token, content, ip, userAgent }) => {
+  const config = getChatbotConfig();
+
+  if (!content || typeof content !== 'string' || !content.trim()) {
+    throw createError('Please provide a message', 400);
+  }
+  if (content.length > config.maxMessageLength) {
+    throw createError(`Message cannot be longer than ${config.maxMessageLength} characters`, 400);
+  }
+  if (company.trainingStatus !== 'completed') {
+    throw createError('This chatbot is not available right now', 503);
+  }
+
+  let conversation = await findVisitorConversation(company.companyId, token);
+  let newToken = null;
+  if (!conversation) {
+    ({ conversation, token: newToken } = await startVisitorConversation(company, { ip, userAgent }));
+  }
+
+  // The stored hash isn't selected, so hash the token again
+  const throttled = await checkMessageLimits({
+    companyId: company.companyId,
+    visitorTokenHash: hashVisitorToken(newToken || token)
+  });
+  if (throttled) {
+    const error = createError(throttled.message, 429);
+    error.retryAfterMs = throttled.retryAfterMs;
+    throw error;
+  }
+
+  const { context, version } = await getActiveContext(company);
+
+  conversation.messages.push({ role: 'user', content });
+
+  const provider = getLLMProvider({ baseModel: config.baseModel });
+  const aiResponse = await provider.generate({
+    messages: buildCompanyChatMessages({ company, context, history: conversation.messages })
+  });
+
+  if (!aiResponse.content || !aiResponse.content.trim()) {
+    throw createError('The chatbot could not answer this message. Please try again', 502);
+  }
+
+  // Record prompt tokens on the visitor message and completion tokens on the reply
+  conversation.messages[conversation.messages.length - 1].tokenCount = aiResponse.promptTokens;
+  conversation.messages.push({
+    role: 'assistant',
+    content: aiResponse.content,
+    tokenCount: aiResponse.completionTokens,
+    metadata: {
+      provider: provider.name,
+      providerModel: provider.model
+    }
+  });
+  conversation.contextVersion = version;
+  conversation.lastMessageAt = Date.now();
+  await conversation.save();
+
+  // Count the new visitor against their IP now that the session exists
+  if (newToken) {
+    await hitLimit(`chatbot:ip:${ip}`, config.ipMaxVisitors, config.ipWindowMs);
+  }
+
+  // The company's owner pays for their chatbot
+  if (company.owner) {
+    await Usage.create({
+      user: company.owner,
+      type: 'chat',
+      totalTokens: aiResponse.totalTokens,
+      endpoint: `/api/companies/${company.companyId}/chat`,
+      method: 'POST',
+      ip,
+      userAgent,
+      metadata: {
+        companyId: company.companyId,
+        conversationId: conversation._id,
+        promptTokens: aiResponse.promptTokens,
+        completionTokens: aiResponse.completionTokens
+      },
+      timestamp: Date.now()
+    });
+  }
+
+  return {
+    conversation,
+    message: conversation.messages[conversation.messages.length - 1],
+    token: newToken
+  };
+};
@@ -0,0 +1,164 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import Document from '../models/Document.js';
+import { extractText } from './extractors/index.js';
+import { indexDocument } from './retrieval.js';
+import Job from '../models/Job.js';
+import { enqueueJob, findActiveJob } from './jobQueue.js';
+
+const PROCESSING_WAIT_MS = 5 * 60 * 1000;
+
+/**
+ * Extracts the text of a document that has already been claimed for processing
+ * @param {Object} document - Document in the `processing` state
+ * @returns {Promise<Object>} Updated document
+ */
+export const processDocument = async (document) => {
+  try {
+    const { pages, metadata } = await extractText(document.filePath, document.fileType);
+
+    const file = await fs.promises.readFile(document.filePath);
+    document.contentHash = crypto.createHash('sha256').update(file).digest('hex');
+
+    document.pages = pages;
+    document.pageCount = pages.length;
+    document.extractedText = pages.map(page => page.text).join('\n\n');
+
+    // Chunk and embed the text so chat can retrieve from it
+    const chunkCount = await indexDocument(document);
+
+    document.metadata = { ...document.metadata, ...metadata, chunkCount };
+
+    document.processingStatus = 'completed';
+    document.processingError = undefined;
+    document.isProcessed = true;
+  } catch (err) {
+    console.error(`Document processing failed for ${document._id}:`, err.message);
+    document.processingStatus = 'failed';
+    document.processingError = err.message;
+    document.isProcessed = false;
+  }
+
+  document.processingDate = Date.now();
+  await document.save();
+
+  return document;
+};
+
+/**
+ * Queues a document for text extraction
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Object>} Created job
+ */
+export const enqueueDocumentProcessing = (documentId) => enqueueJob('process_document', {
+  resourceId: documentId.toString()
+});
+
+/**
+ * Job handler for `process_document`
+ * Throws when extraction fails so the queue retries it
+ * @param {Object} payload - { resourceId }
+ * @param {Object} job - Job being run
+ * @returns {Promise<Object>} Job result
+ */
+export const handleProcessDocumentJob = async ({ resourceId }, job) => {
+  const document = await Document.findByIdAndUpdate(
+    resourceId,
+    { processingStatus: 'processing' },
+    { new: true }
+  );
+
+  // The document was deleted after the job was queued
+  if (!document) {
+    return { skipped: true };
+  }
+
+  await processDocument(document);
+
+  if (document.processingStatus === 'failed') {
+    // Leave the document pending while the queue still has retries left
+    if (job.attempts < job.maxAttempts) {
+      document.processingStatus = 'pending';
+      await document.save();
+    }
+    throw new Error(document.processingError);
+  }
+
+  return { pageCount: document.pageCount, chunkCount: document.metadata?.chunkCount };
+};
+
+/**
+ * Dead-letter hook for `process_document`: marks the document failed when the
+ * queue gives up on it, e.g. after its last attempt timed out
+ * @param {Object} payload - { resourceId }
+ * @param {string} error - Why the job was given up on
+ */
+export const failDocumentProcessing = ({ resourceId }, error) => Document.updateOne(
+  { _id: resourceId, processingStatus: { $in: ['pending', 'processing'] } },
+  {
+    processingStatus: 'failed',
+    processingError: error,
+    isProcessed: false,
+    processingDate: Date.now()
+  }
+);
+
+/**
+ * Queues documents that were left pending or processing without a job,
+ * e.g. after a crash or from before the queue existed
+ * @returns {Promise<number>} Number of documents queued
+ */
+export const recoverDocumentProcessing = async () => {
+  const documents = await Document.find({
+    processingStatus: { $in: ['pending', 'processing'] }
+  }).select('_id');
+
+  let recovered = 0;
+  for (const document of documents) {
+    if (!(await findActiveJob('process_document', document._id))) {
+      await Document.updateOne({ _id: document._id }, { processingStatus: 'pending' });
+      await enqueueDocumentProcessing(document._id);
+      recovered++;
+    }
+  }
+
+  return recovered;
+};
+
+/**
+ * Makes sure a document has been processed, for callers such as training
+ * that need the text now. A queued job is taken over and run inline; a job
+ * already running elsewhere is waited for.
+ * @param {Object} document - Document
+ * @returns {Promise<Object>} Document in its final processing state
+ */
+export const ensureDocumentProcessed = async (document) => {
+  if (document.processingStatus === 'completed') {
+    return document;
+  }
+
+  const job = await findActiveJob('process_document', document._id);
+
+  if (job && job.status === 'running') {
+    const deadline = Date.now() + PROCESSING_WAIT_MS;
+    while (Date.now() < deadline && (await Job.exists({ _id: job._id, status: 'running' }))) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+    return Document.findById(document._id);
+  }
+
+  // Take over a queued job so it isn't processed twice
+  if (job) {
+    const takenOver = await Job.findOneAndUpdate(
+      { _id: job._id, status: 'queued' },
+      { status: 'completed', completedAt: Date.now(), result: { handledInline: true } }
+    );
+    if (!takenOver) {
+      return ensureDocumentProcessed(await Document.findById(document._id));
+    }
+  }
+
+  document.processingStatus = 'processing';
+  await document.save();
+  return processDocument(document);
+};
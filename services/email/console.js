@@ -0,0 +1,15 @@
+/**
+ * Creates a transport that prints emails to the console
+ * For local development, where links can be copied from the server log
+ * @returns {Object} Email transport
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+
+  async send({ to, subject, text }) {
+    console.log(`\n--- Email to ${to} ---\nSubject: ${subject}\n\n${text}\n--- End of email ---\n`);
+    return { delivered: true };
+  }
+});
+
+export default createConsoleTransport;
@@ -0,0 +1,29 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Creates a transport that writes each email to a JSON file
+ * For development and tests, where emails are read back from disk
+ * @param {Object} options - { directory }
+ * @returns {Object} Email transport
+ */
+const createFileTransport = ({ directory }) => ({
+  name: 'file',
+
+  async send(email) {
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    const filePath = path.join(directory, fileName);
+
+    await fs.promises.writeFile(filePath, JSON.stringify({
+      ...email,
+      sentAt: new Date().toISOString()
+    }, null, 2));
+
+    return { delivered: true, filePath };
+  }
+});
+
+export default createFileTransport;
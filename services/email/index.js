@@ -0,0 +1,68 @@
+import createConsoleTransport from './console.js';
+import createFileTransport from './file.js';
+import createSmtpTransport from './smtp.js';
+import createError from '../../utils/errorResponse.js';
+
+const DEFAULT_FROM = process.env.EMAIL_FROM || 'no-reply@localhost';
+
+// Factories keyed by the EMAIL_TRANSPORT setting
+const transports = {
+  console: () => createConsoleTransport(),
+  file: () => createFileTransport({
+    directory: process.env.EMAIL_OUTBOX_DIR || 'outbox'
+  }),
+  smtp: () => {
+    if (!process.env.SMTP_HOST) {
+      throw createError('Email transport smtp is not configured: set SMTP_HOST', 503);
+    }
+    return createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      password: process.env.SMTP_PASSWORD,
+      from: DEFAULT_FROM
+    });
+  }
+};
+
+let activeTransport = null;
+
+/**
+ * Registers an additional email transport factory
+ * @param {string} name - Transport name used in EMAIL_TRANSPORT
+ * @param {Function} factory - Returns an object with { name, send(email) }
+ */
+export const registerEmailTransport = (name, factory) => {
+  transports[name] = factory;
+};
+
+/**
+ * Overrides the active email transport (useful in tests)
+ * @param {Object|null} transport - Transport instance, or null to reset
+ */
+export const setEmailTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Returns the configured email transport
+ * @returns {Object} Transport with { name, send(email) }
+ */
+export const getEmailTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.EMAIL_TRANSPORT || 'console';
+    if (!transports[name]) {
+      throw createError(`Unknown email transport: ${name}`, 500);
+    }
+    activeTransport = transports[name]();
+  }
+  return activeTransport;
+};
+
+/**
+ * Sends an email with the configured transport
+ * @param {Object} email - { to, subject, text, html }
+ * @returns {Promise<Object>} Transport result
+ */
+export const sendEmail = (email) => getEmailTransport().send({ from: DEFAULT_FROM, ...email });
@@ -0,0 +1,26 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * Creates a transport that delivers email through an SMTP server
+ * @param {Object} options - { host, port, secure, user, password, from }
+ * @returns {Object} Email transport
+ */
+const createSmtpTransport = ({ host, port, secure, user, password, from }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass: password } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send({ to, subject, text, html }) {
+      const info = await transporter.sendMail({ from, to, subject, text, html });
+      return { delivered: info.accepted.length > 0, messageId: info.messageId };
+    }
+  };
+};
+
+export default createSmtpTransport;
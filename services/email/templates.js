@@ -0,0 +1,131 @@
+const APP_NAME = process.env.APP_NAME || 'AI Document Chat';
+
+/**
+ * Builds a link into the frontend app
+ * @param {string} pathname - Path on the client, e.g. /reset-password/abc
+ * @returns {string} Absolute URL
+ */
+export const clientUrl = (pathname) => `${(process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '')}${pathname}`;
+
+/**
+ * Password reset email
+ * @param {Object} options - { name, resetUrl, expiresInMinutes }
+ * @returns {Object} { subject, text }
+ */
+export const passwordResetEmail = ({ name, resetUrl, expiresInMinutes }) => ({
+  subject: `Reset your ${APP_NAME} password`,
+  text: [
+    `Hi ${name},`,
+    '',
+    'We received a request to reset your password. Open the link below to choose a new one:',
+    '',
+    resetUrl,
+    '',
+    `The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+    'Resetting your password signs you out on all devices.',
+    '',
+    'If you did not request this, you can ignore this email.'
+  ].join('\n')
+});
+
+/**
+ * Email address verification email
+ * @param {Object} options - { name, verifyUrl, expiresInHours }
+ * @returns {Object} { subject, text }
+ */
+export const emailVerificationEmail = ({ name, verifyUrl, expiresInHours }) => ({
+  subject: `Verify your ${APP_NAME} email address`,
+  text: [
+    `Hi ${name},`,
+    '',
+    'Please confirm this is your email address by opening the link below:',
+    '',
+    verifyUrl,
+    '',
+    `The link expires in ${expiresInHours} hours.`,
+    'Until your address is verified, some features such as teams, subscriptions and API keys are unavailable.',
+    '',
+    'If you did not create an account, you can ignore this email.'
+  ].join('\n')
+});
+
+/**
+ * Account lockout notification
+ * @param {Object} options - { name, lockedUntil, ip, resetUrl }
+ * @returns {Object} { subject, text }
+ */
+export const accountLockedEmail = ({ name, lockedUntil, ip, resetUrl }) => ({
+  subject: `Your ${APP_NAME} account has been temporarily locked`,
+  text: [
+    `Hi ${name},`,
+    '',
+    `We locked your account after several failed sign-in attempts. The last one came from ${ip}.`,
+    `You can sign in again after ${new Date(lockedUntil).toUTCString()}.`,
+    '',
+    'If this was not you, someone may be trying to guess your password. We recommend resetting it:',
+    '',
+    resetUrl,
+    '',
+    'If you need access sooner, contact support to unlock your account.'
+  ].join('\n')
+});
+
+/**
+ * Team invitation email
+ * @param {Object} options - { teamName, inviterName, role, acceptUrl, expiresInDays }
+ * @returns {Object} { subject, text }
+ */
+export const teamInvitationEmail = ({ teamName, inviterName, role, acceptUrl, expiresInDays }) => ({
+  subject: `${inviterName} invited you to join ${teamName} on ${APP_NAME}`,
+  text: [
+    'Hi,',
+    '',
+    `${inviterName} invited you to join the team "${teamName}" as ${role === 'admin' ? 'an' : 'a'} ${role}.`,
+    'Open the link below to accept or decline. You can create an account there if you don\'t have one yet:',
+    '',
+    acceptUrl,
+    '',
+    `The invitation expires in ${expiresInDays} days.`
+  ].join('\n')
+});
+
+/**
+ * Team ownership transfer request email
+ * @param {Object} options - { name, ownerName, teamName, teamUrl, expiresInDays }
+ * @returns {Object} { subject, text }
+ */
+export const ownershipTransferEmail = ({ name, ownerName, teamName, teamUrl, expiresInDays }) => ({
+  subject: `${ownerName} wants to make you the owner of ${teamName}`,
+  text: [
+    `Hi ${name},`,
+    '',
+    `${ownerName} asked to transfer ownership of the team "${teamName}" on ${APP_NAME} to you.`,
+    'As the owner you manage the team\'s billing and settings, and can delete the team.',
+    '',
+    'Review the request and accept or decline it here:',
+    '',
+    teamUrl,
+    '',
+    `The request expires in ${expiresInDays} days.`
+  ].join('\n')
+});
+
+/**
+ * Notice to a team owner that a departed member's API keys were revoked
+ * @param {Object} options - { name, memberName, teamName, keys, teamUrl }
+ * @returns {Object} { subject, text }
+ */
+export const memberApiKeysRevokedEmail = ({ name, memberName, teamName, keys, teamUrl }) => ({
+  subject: `API keys of ${memberName} in ${teamName} were revoked`,
+  text: [
+    `Hi ${name},`,
+    '',
+    `${memberName} is no longer a member of the team "${teamName}", so the team API keys they created were revoked:`,
+    '',
+    ...keys.map(key => `- ${key.name} (${key.prefix}...)`),
+    '',
+    'Integrations using these keys will stop working. Create new keys for them here:',
+    '',
+    teamUrl
+  ].join('\n')
+});
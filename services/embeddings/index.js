@@ -0,0 +1,49 @@
+import createLocalEmbedder from './local.js';
+import createOpenAIEmbedder from './openai.js';
+import createError from '../../utils/errorResponse.js';
+
+// Factories keyed by the EMBEDDING_PROVIDER setting
+const providers = {
+  local: () => createLocalEmbedder({
+    dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS, 10) || 512
+  }),
+  openai: () => createOpenAIEmbedder({
+    endpoint: process.env.EMBEDDING_API_URL,
+    apiKey: process.env.EMBEDDING_API_KEY,
+    model: process.env.EMBEDDING_MODEL
+  })
+};
+
+let activeProvider = null;
+
+/**
+ * Registers an additional embedding provider factory
+ * @param {string} name - Provider name used in EMBEDDING_PROVIDER
+ * @param {Function} factory - Returns an object with { name, embed(texts) }
+ */
+export const registerEmbeddingProvider = (name, factory) => {
+  providers[name] = factory;
+};
+
+/**
+ * Overrides the active embedding provider (useful in tests)
+ * @param {Object|null} provider - Provider instance, or null to reset
+ */
+export const setEmbeddingProvider = (provider) => {
+  activeProvider = provider;
+};
+
+/**
+ * Returns the configured embedding provider
+ * @returns {Object} Provider with { name, embed(texts) }
+ */
+export const getEmbeddingProvider = () => {
+  if (!activeProvider) {
+    const name = process.env.EMBEDDING_PROVIDER || 'local';
+    if (!providers[name]) {
+      throw createError(`Unknown embedding provider: ${name}`, 500);
+    }
+    activeProvider = providers[name]();
+  }
+  return activeProvider;
+};
@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+
+/**
+ * Splits text into lowercase word tokens
+ * @param {string} text - Input text
+ * @returns {Array<string>} Tokens
+ */
+const tokenize = (text) => text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * Hashes a feature into a bucket index and sign
+ * @param {string} feature - Token or n-gram
+ * @param {number} dimensions - Vector size
+ * @returns {Object} { index, sign }
+ */
+const hashFeature = (feature, dimensions) => {
+  const digest = crypto.createHash('md5').update(feature).digest();
+  return {
+    index: digest.readUInt32BE(0) % dimensions,
+    sign: digest[4] & 1 ? 1 : -1
+  };
+};
+
+/**
+ * Creates a deterministic, offline embedding provider
+ * Uses feature hashing over words and word bigrams, so identical text always
+ * produces identical vectors and related text shares vocabulary dimensions.
+ * Intended for development and tests, not for semantic quality.
+ * @param {Object} options - { dimensions }
+ * @returns {Object} Embedding provider
+ */
+const createLocalEmbedder = ({ dimensions = 512 } = {}) => ({
+  name: `local-${dimensions}`,
+  dimensions,
+  embed: async (texts) => texts.map(text => {
+    const vector = new Array(dimensions).fill(0);
+    const tokens = tokenize(text);
+    const features = [
+      ...tokens,
+      ...tokens.slice(1).map((token, i) => `${tokens[i]} ${token}`)
+    ];
+
+    for (const feature of features) {
+      const { index, sign } = hashFeature(feature, dimensions);
+      vector[index] += sign;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm ? vector.map(value => value / norm) : vector;
+  })
+});
+
+export default createLocalEmbedder;
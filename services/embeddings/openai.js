@@ -0,0 +1,42 @@
+import createError from '../../utils/errorResponse.js';
+
+/**
+ * Creates an embedding provider for OpenAI-compatible /embeddings endpoints
+ * @param {Object} options - { endpoint, apiKey, model }
+ * @returns {Object} Embedding provider
+ */
+const createOpenAIEmbedder = ({
+  endpoint = 'https://api.openai.com/v1',
+  apiKey,
+  model = 'text-embedding-3-small'
+} = {}) => ({
+  name: `openai-${model}`,
+  embed: async (texts) => {
+    if (!apiKey) {
+      throw createError('EMBEDDING_API_KEY is not configured', 500);
+    }
+
+    const response = await fetch(`${endpoint.replace(/\/$/, '')}/embeddings`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${apiKey}`
+      },
+      body: JSON.stringify({ model, input: texts })
+    });
+
+    if (!response.ok) {
+      // The body can hold provider details, so it is logged rather than returned
+      const body = await response.text();
+      console.error(`Embedding request failed (${response.status}):`, body);
+      throw createError('The embedding provider could not complete the request', 502);
+    }
+
+    const { data } = await response.json();
+    return data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+});
+
+export default createOpenAIEmbedder;
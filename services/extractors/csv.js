@@ -0,0 +1,83 @@
+import { readTextFile } from './text.js';
+
+/**
+ * Parses CSV content into rows of fields (RFC 4180 quoting)
+ * @param {string} content - CSV text
+ * @returns {Array<Array<string>>} Parsed rows
+ */
+export const parseCsv = (content) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Extracts text from a CSV file
+ * The first row is treated as a header and each following row becomes
+ * a line of "header: value" pairs, which keeps FAQ exports readable
+ * @param {string} filePath - Path to the file on disk
+ * @returns {Promise<Object>} Extracted pages and document metadata
+ */
+const extractCsv = async (filePath) => {
+  const [header = [], ...rows] = parseCsv(await readTextFile(filePath));
+  const columns = header.map(name => name.trim());
+
+  const lines = rows.map(fields => fields
+    .map((value, index) => {
+      const label = columns[index] || `Column ${index + 1}`;
+      return value.trim() ? `${label}: ${value.trim()}` : null;
+    })
+    .filter(Boolean)
+    .join('; '));
+
+  return {
+    pages: [{ pageNumber: 1, text: lines.join('\n') }],
+    metadata: {
+      pageCount: 1,
+      paginated: false,
+      columns,
+      rowCount: rows.length
+    }
+  };
+};
+
+export default extractCsv;
@@ -0,0 +1,23 @@
+import mammoth from 'mammoth';
+
+/**
+ * Extracts text from a Word (.docx) file
+ * DOCX files have no fixed pagination, so the whole body is returned as page 1
+ * @param {string} filePath - Path to the DOCX on disk
+ * @returns {Promise<Object>} Extracted pages and document metadata
+ */
+const extractDocx = async (filePath) => {
+  const result = await mammoth.extractRawText({ path: filePath });
+  const text = result.value.replace(/\n{3,}/g, '\n\n').trim();
+
+  return {
+    pages: [{ pageNumber: 1, text }],
+    metadata: {
+      pageCount: 1,
+      paginated: false,
+      warnings: result.messages.map(message => message.message)
+    }
+  };
+};
+
+export default extractDocx;
@@ -0,0 +1,69 @@
+import { readTextFile } from './text.js';
+
+// Elements that start a new line when converted to text
+const BLOCK_TAGS = 'address|article|aside|blockquote|br|dd|div|dl|dt|fieldset|figcaption|figure|footer|form|h[1-6]|header|hr|li|main|nav|ol|p|pre|section|table|tr|ul';
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+/**
+ * Decodes the HTML entities commonly found in exported help centre pages
+ * @param {string} text - Text containing HTML entities
+ * @returns {string} Decoded text
+ */
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x'
+      ? parseInt(entity.slice(2), 16)
+      : parseInt(entity.slice(1), 10);
+    return Number.isNaN(code) ? match : String.fromCodePoint(code);
+  }
+  return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+/**
+ * Converts an HTML string to readable plain text
+ * @param {string} html - HTML markup
+ * @returns {string} Plain text
+ */
+export const htmlToText = (html) => {
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(new RegExp(`</?(${BLOCK_TAGS})\\b[^>]*>`, 'gi'), '\n')
+    .replace(/<\/t[dh]>/gi, '\t')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+/**
+ * Extracts text from an HTML file
+ * @param {string} filePath - Path to the file on disk
+ * @returns {Promise<Object>} Extracted pages and document metadata
+ */
+const extractHtml = async (filePath) => {
+  const html = await readTextFile(filePath);
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+
+  return {
+    pages: [{ pageNumber: 1, text: htmlToText(html) }],
+    metadata: {
+      pageCount: 1,
+      paginated: false,
+      title: titleMatch ? decodeEntities(titleMatch[1]).trim() : undefined
+    }
+  };
+};
+
+export default extractHtml;
@@ -0,0 +1,39 @@
+import extractPdf from './pdf.js';
+import extractDocx from './docx.js';
+import extractPlainText from './text.js';
+import extractHtml from './html.js';
+import extractCsv from './csv.js';
+import createError from '../../utils/errorResponse.js';
+
+// Map of MIME type to extractor function
+const extractors = {
+  'application/pdf': extractPdf,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': extractDocx,
+  'text/plain': extractPlainText,
+  'text/markdown': extractPlainText,
+  'text/html': extractHtml,
+  'text/csv': extractCsv
+};
+
+/**
+ * Checks whether a MIME type has a text extractor
+ * @param {string} mimeType - MIME type of the file
+ * @returns {boolean} True if the type can be extracted
+ */
+export const isSupportedType = (mimeType) => Boolean(extractors[mimeType]);
+
+/**
+ * Extracts text from a file using the extractor registered for its type
+ * @param {string} filePath - Path to the file on disk
+ * @param {string} mimeType - MIME type of the file
+ * @returns {Promise<Object>} { pages: [{ pageNumber, text }], metadata }
+ */
+export const extractText = async (filePath, mimeType) => {
+  const extractor = extractors[mimeType];
+
+  if (!extractor) {
+    throw createError(`No text extractor available for ${mimeType}`, 400);
+  }
+
+  return extractor(filePath);
+};
@@ -0,0 +1,38 @@
+import fs from 'fs';
+import { PDFParse } from 'pdf-parse';
+
+/**
+ * Extracts text from a PDF file page by page
+ * @param {string} filePath - Path to the PDF on disk
+ * @returns {Promise<Object>} Extracted pages and document metadata
+ */
+const extractPdf = async (filePath) => {
+  const data = await fs.promises.readFile(filePath);
+  const parser = new PDFParse({ data });
+
+  try {
+    const info = await parser.getInfo();
+    const result = await parser.getText();
+
+    const pages = result.pages.map(page => ({
+      pageNumber: page.num,
+      text: (page.text || '').trim()
+    }));
+
+    return {
+      pages,
+      metadata: {
+        pageCount: result.total,
+        title: info.info?.Title,
+        author: info.info?.Author,
+        creator: info.info?.Creator,
+        producer: info.info?.Producer,
+        creationDate: info.info?.CreationDate
+      }
+    };
+  } finally {
+    await parser.destroy();
+  }
+};
+
+export default extractPdf;
@@ -0,0 +1,31 @@
+import fs from 'fs';
+
+/**
+ * Reads a UTF-8 text file and strips the byte order mark if present
+ * @param {string} filePath - Path to the file on disk
+ * @returns {Promise<string>} File contents
+ */
+export const readTextFile = async (filePath) => {
+  const content = await fs.promises.readFile(filePath, 'utf8');
+  return content.replace(/^\uFEFF/, '');
+};
+
+/**
+ * Extracts text from a plain text or Markdown file
+ * @param {string} filePath - Path to the file on disk
+ * @returns {Promise<Object>} Extracted pages and document metadata
+ */
+const extractPlainText = async (filePath) => {
+  const text = (await readTextFile(filePath)).replace(/\r\n/g, '\n').trim();
+
+  return {
+    pages: [{ pageNumber: 1, text }],
+    metadata: {
+      pageCount: 1,
+      paginated: false,
+      lineCount: text ? text.split('\n').length : 0
+    }
+  };
+};
+
+export default extractPlainText;
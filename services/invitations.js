@@ -0,0 +1,216 @@
+import crypto from 'crypto';
+import Team from '../models/Team.js';
+import TeamInvitation from '../models/TeamInvitation.js';
+import User from '../models/User.js';
+import createError from '../utils/errorResponse.js';
+import { sendEmail } from './email/index.js';
+import { teamInvitationEmail, clientUrl } from './email/templates.js';
+
+const INVITE_DAYS = parseInt(process.env.TEAM_INVITE_EXPIRE_DAYS, 10) || 7;
+
+export const INVITE_ROLES = ['admin', 'member', 'viewer'];
+
+/**
+ * Hashes an invitation token for storage and lookup
+ * @param {string} token - Token from the invitation link
+ * @returns {string} sha256 hex digest
+ */
+const hashInviteToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Creates a token and expiry for an invitation
+ * @returns {Object} { token, tokenHash, expiresAt }
+ */
+const generateInviteToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  return {
+    token,
+    tokenHash: hashInviteToken(token),
+    expiresAt: new Date(Date.now() + INVITE_DAYS * 24 * 60 * 60 * 1000)
+  };
+};
+
+/**
+ * Emails an invitation link
+ * @param {Object} invitation - TeamInvitation document
+ * @param {string} token - Plain invitation token
+ * @param {Object} options - { team, inviter }
+ * @returns {Promise<Object>} Transport result
+ */
+const sendInvitationEmail = (invitation, token, { team, inviter }) => sendEmail({
+  to: invitation.email,
+  ...teamInvitationEmail({
+    teamName: team.name,
+    inviterName: inviter.name,
+    role: invitation.role,
+    acceptUrl: clientUrl(`/invitations/${token}`),
+    expiresInDays: INVITE_DAYS
+  })
+});
+
+/**
+ * Invites an email address to a team and sends the invitation
+ * @param {Object} team - Team document
+ * @param {Object} options - { email, role, inviter }
+ * @returns {Promise<Object>} TeamInvitation
+ */
+export const createInvitation = async (team, { email, role = 'member', inviter }) => {
+  const normalizedEmail = String(email).trim().toLowerCase();
+
+  const existingUser = await User.findOne({ email: normalizedEmail }).select('_id');
+  if (existingUser && team.members.some(member => member.user?.toString() === existingUser._id.toString())) {
+    throw createError('User is already a team member', 400);
+  }
+
+  const pending = await TeamInvitation.findOne({
+    team: team._id,
+    email: normalizedEmail,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+  if (pending) {
+    throw createError('This email already has a pending invitation; resend it instead', 400);
+  }
+
+  const { token, tokenHash, expiresAt } = generateInviteToken();
+
+  const invitation = await TeamInvitation.create({
+    team: team._id,
+    email: normalizedEmail,
+    role,
+    tokenHash,
+    expiresAt,
+    invitedBy: inviter._id
+  });
+
+  await sendInvitationEmail(invitation, token, { team, inviter });
+
+  return invitation;
+};
+
+/**
+ * Issues a new token for a pending invitation, extends it and sends it again
+ * The previous link stops working.
+ * @param {Object} invitation - TeamInvitation document
+ * @param {Object} options - { team, inviter }
+ * @returns {Promise<Object>} TeamInvitation
+ */
+export const resendInvitation = async (invitation, { team, inviter }) => {
+  if (invitation.status !== 'pending') {
+    throw createError(`Invitation was already ${invitation.status}`, 400);
+  }
+
+  const { token, tokenHash, expiresAt } = generateInviteToken();
+
+  invitation.tokenHash = tokenHash;
+  invitation.expiresAt = expiresAt;
+  invitation.sentCount += 1;
+  invitation.lastSentAt = Date.now();
+  await invitation.save();
+
+  await sendInvitationEmail(invitation, token, { team, inviter });
+
+  return invitation;
+};
+
+/**
+ * Finds the invitation for a token
+ * @param {string} token - Token from the invitation link
+ * @returns {Promise<Object>} Pending, unexpired TeamInvitation
+ */
+export const findOpenInvitation = async (token) => {
+  const invitation = await TeamInvitation.findOne({ tokenHash: hashInviteToken(token) });
+
+  if (!invitation || !invitation.isOpen()) {
+    throw createError('Invalid or expired invitation', 400);
+  }
+
+  return invitation;
+};
+
+/**
+ * Marks a pending invitation as answered; only one response can win
+ * @param {Object} invitation - TeamInvitation document
+ * @param {string} status - 'accepted', 'rejected' or 'revoked'
+ * @param {string} userId - Responding user, if any
+ * @returns {Promise<Object>} Updated TeamInvitation
+ */
+const closeInvitation = async (invitation, status, userId) => {
+  const closed = await TeamInvitation.findOneAndUpdate(
+    { _id: invitation._id, status: 'pending' },
+    { status, respondedBy: userId, respondedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!closed) {
+    throw createError('Invitation is no longer pending', 400);
+  }
+
+  return closed;
+};
+
+/**
+ * Adds a user to the team of an invitation they accept
+ * The link was emailed to the invited address, so accepting it also verifies
+ * the user's email.
+ * @param {Object} invitation - Open TeamInvitation
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { invitation, team }
+ */
+export const acceptInvitation = async (invitation, user) => {
+  if (user.email.toLowerCase() !== invitation.email) {
+    throw createError('This invitation was sent to a different email address', 403);
+  }
+
+  const team = await Team.findById(invitation.team);
+  if (!team) {
+    throw createError('Team not found', 404);
+  }
+
+  const accepted = await closeInvitation(invitation, 'accepted', user._id);
+
+  // Skip the push if the user joined some other way in the meantime
+  await Team.updateOne(
+    { _id: team._id, 'members.user': { $ne: user._id } },
+    {
+      $push: {
+        members: {
+          user: user._id,
+          role: invitation.role,
+          inviteStatus: 'accepted',
+          inviteEmail: invitation.email
+        }
+      },
+      updatedAt: Date.now()
+    }
+  );
+
+  user.isTeamMember = true;
+  if (!user.teamId) {
+    user.teamId = team._id;
+  }
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = Date.now();
+  }
+  await user.save({ validateBeforeSave: false });
+
+  return { invitation: accepted, team: await Team.findById(team._id) };
+};
+
+/**
+ * Declines an invitation
+ * @param {Object} invitation - Open TeamInvitation
+ * @param {Object} user - Signed-in user, if any
+ * @returns {Promise<Object>} TeamInvitation
+ */
+export const rejectInvitation = (invitation, user) => closeInvitation(invitation, 'rejected', user?._id);
+
+/**
+ * Withdraws a pending invitation
+ * @param {Object} invitation - TeamInvitation document
+ * @param {string} userId - Team manager revoking it
+ * @returns {Promise<Object>} TeamInvitation
+ */
+export const revokeInvitation = (invitation, userId) => closeInvitation(invitation, 'revoked', userId);
@@ -0,0 +1,296 @@
+import os from 'os';
+import crypto from 'crypto';
+import Job from '../models/Job.js';
+import { runAsSystem } from '../utils/tenantContext.js';
+
+const POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL, 10) || 1000;
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const DEFAULT_VISIBILITY_TIMEOUT = parseInt(process.env.JOB_VISIBILITY_TIMEOUT, 10) || 5 * 60 * 1000;
+const DEFAULT_BACKOFF = parseInt(process.env.JOB_RETRY_BACKOFF, 10) || 5000;
+const MAX_BACKOFF = 60 * 60 * 1000;
+
+// Identifies this process; each worker loop adds its index, so the locks of
+// workers in the same process can be told apart
+const processId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+const handlers = {};
+let isStarted = false;
+let activeWorkers = 0;
+
+/**
+ * Registers the function that runs jobs of a type
+ * `onDead` is called when a job of the type is given up on, whether its last
+ * attempt threw or timed out, so the resource it acts on can be marked failed.
+ * @param {string} type - Job type
+ * @param {Function} handler - async (payload, job) => result
+ * @param {Object} options - { visibilityTimeout, maxAttempts, backoff } in ms, and onDead: async (payload, error) => void
+ */
+export const registerJobHandler = (type, handler, options = {}) => {
+  handlers[type] = {
+    handler,
+    onDead: options.onDead,
+    visibilityTimeout: options.visibilityTimeout || DEFAULT_VISIBILITY_TIMEOUT,
+    maxAttempts: options.maxAttempts || 3,
+    backoff: options.backoff || DEFAULT_BACKOFF
+  };
+};
+
+/**
+ * Adds a job to the queue
+ * @param {string} type - Job type
+ * @param {Object} payload - Job data, with `resourceId` for the document or model it acts on
+ * @param {Object} options - { runAt, maxAttempts }
+ * @returns {Promise<Object>} Created job
+ */
+export const enqueueJob = (type, payload = {}, options = {}) => Job.create({
+  type,
+  payload,
+  runAt: options.runAt || Date.now(),
+  maxAttempts: options.maxAttempts || handlers[type]?.maxAttempts || 3
+});
+
+/**
+ * Finds a queued or running job for a resource
+ * @param {string} type - Job type
+ * @param {string} resourceId - Document or model ID
+ * @returns {Promise<Object|null>} Active job, if any
+ */
+export const findActiveJob = (type, resourceId) => Job.findOne({
+  type,
+  'payload.resourceId': resourceId.toString(),
+  status: { $in: ['queued', 'running'] }
+});
+
+/**
+ * Cancels a job
+ * Queued jobs are cancelled immediately; running jobs are flagged and the
+ * handler stops at its next checkpoint (see isCancelRequested)
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Updated job, or null if it was not active
+ */
+export const cancelJob = async (jobId) => {
+  const queued = await Job.findOneAndUpdate(
+    { _id: jobId, status: 'queued' },
+    { status: 'cancelled', cancelRequested: true, completedAt: Date.now(), updatedAt: Date.now() },
+    { new: true }
+  );
+  if (queued) {
+    return queued;
+  }
+
+  return Job.findOneAndUpdate(
+    { _id: jobId, status: 'running' },
+    { cancelRequested: true, updatedAt: Date.now() },
+    { new: true }
+  );
+};
+
+/**
+ * Checks whether cancellation was requested for a job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<boolean>} True if the job should stop
+ */
+export const isCancelRequested = async (jobId) => Boolean(
+  await Job.exists({ _id: jobId, cancelRequested: true })
+);
+
+/**
+ * Moves a job to the dead-letter state and lets its type mark the resource failed
+ * Cancelled jobs end here too, but their resource is left to the handler.
+ * @param {Object} job - Job
+ * @param {string} error - Why the job was given up on
+ * @param {Object} condition - Extra conditions the job must still match
+ */
+const moveToDeadLetter = async (job, error, condition) => {
+  const dead = await Job.findOneAndUpdate(
+    { _id: job._id, ...condition },
+    {
+      status: 'dead',
+      lastError: error,
+      lockedBy: null,
+      lockedUntil: null,
+      updatedAt: Date.now()
+    },
+    { new: true }
+  );
+
+  const onDead = handlers[job.type]?.onDead;
+  if (!dead || dead.cancelRequested || !onDead) {
+    return;
+  }
+
+  try {
+    await runAsSystem(() => onDead(job.payload, error));
+  } catch (err) {
+    console.error(`Failed to mark the resource of dead job ${job._id} (${job.type}) as failed:`, err.message);
+  }
+};
+
+/**
+ * Moves expired jobs that have used all their attempts to the dead-letter state
+ */
+const deadLetterExpiredJobs = async () => {
+  const expired = await Job.find({
+    status: 'running',
+    lockedUntil: { $lt: new Date() },
+    $expr: { $gte: ['$attempts', '$maxAttempts'] }
+  });
+
+  for (const job of expired) {
+    // Another worker may have dead-lettered it in the meantime
+    await moveToDeadLetter(job, 'Visibility timeout expired on final attempt', {
+      status: 'running',
+      lockedUntil: { $lt: new Date() }
+    });
+  }
+};
+
+/**
+ * Atomically claims the next runnable job
+ * Queued jobs that are due, and running jobs whose lock expired, are eligible
+ * @param {string} workerId - Worker claiming the job
+ * @returns {Promise<Object|null>} Claimed job
+ */
+const claimNextJob = (workerId) => {
+  const now = new Date();
+
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: Object.keys(handlers) },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        {
+          status: 'running',
+          lockedUntil: { $lt: now },
+          $expr: { $lt: ['$attempts', '$maxAttempts'] }
+        }
+      ]
+    },
+    {
+      status: 'running',
+      lockedBy: workerId,
+      // Replaced with the handler's own timeout once claimed
+      lockedUntil: new Date(now.getTime() + DEFAULT_VISIBILITY_TIMEOUT),
+      updatedAt: now,
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Runs a claimed job and records the outcome
+ * The lock is extended periodically so long-running jobs are not reclaimed
+ * @param {Object} job - Claimed job
+ * @param {string} workerId - Worker holding the lock
+ */
+const runJob = async (job, workerId) => {
+  const { handler, visibilityTimeout, backoff } = handlers[job.type];
+
+  const extendLock = () => Job.updateOne(
+    { _id: job._id, lockedBy: workerId },
+    { lockedUntil: new Date(Date.now() + visibilityTimeout) }
+  );
+  await extendLock();
+  const heartbeat = setInterval(() => {
+    extendLock().catch(err => console.error(`Failed to extend lock for job ${job._id}:`, err.message));
+  }, Math.floor(visibilityTimeout / 3));
+
+  try {
+    // Jobs act on a stored resource, not for a request, so they are not tenant-scoped
+    const result = await runAsSystem(() => handler(job.payload, job));
+    const cancelled = await isCancelRequested(job._id);
+
+    await Job.updateOne(
+      { _id: job._id, lockedBy: workerId },
+      {
+        status: cancelled ? 'cancelled' : 'completed',
+        result,
+        completedAt: Date.now(),
+        lockedBy: null,
+        lockedUntil: null,
+        updatedAt: Date.now()
+      }
+    );
+  } catch (err) {
+    console.error(`Job ${job._id} (${job.type}) failed on attempt ${job.attempts}:`, err.message);
+
+    // Cancelled jobs are never retried
+    const isFinalAttempt = job.attempts >= job.maxAttempts || await isCancelRequested(job._id);
+
+    if (isFinalAttempt) {
+      await moveToDeadLetter(job, err.message, { lockedBy: workerId });
+    } else {
+      // Exponential backoff: backoff, 2x, 4x, ...
+      const delay = Math.min(backoff * 2 ** (job.attempts - 1), MAX_BACKOFF);
+
+      await Job.updateOne(
+        { _id: job._id, lockedBy: workerId },
+        {
+          status: 'queued',
+          runAt: new Date(Date.now() + delay),
+          lastError: err.message,
+          lockedBy: null,
+          lockedUntil: null,
+          updatedAt: Date.now()
+        }
+      );
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+/**
+ * Worker loop: claims and runs jobs until the queue is stopped
+ * @param {number} index - Index of the loop in this process
+ */
+const workLoop = async (index) => {
+  const workerId = `${processId}:${index}`;
+  activeWorkers++;
+
+  while (isStarted) {
+    try {
+      await deadLetterExpiredJobs();
+      const job = await claimNextJob(workerId);
+
+      if (job) {
+        await runJob(job, workerId);
+        continue;
+      }
+    } catch (err) {
+      console.error('Job worker error:', err.message);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+  }
+
+  activeWorkers--;
+};
+
+/**
+ * Starts the job workers
+ * @param {Object} options - { concurrency }
+ */
+export const startJobWorkers = ({ concurrency = CONCURRENCY } = {}) => {
+  if (isStarted) {
+    return;
+  }
+
+  isStarted = true;
+  for (let i = 0; i < concurrency; i++) {
+    workLoop(i);
+  }
+  console.log(`Job workers started (${concurrency}, ${processId})`);
+};
+
+/**
+ * Stops the job workers after their current jobs finish
+ * @returns {Promise<void>} Resolves when all workers have exited
+ */
+export const stopJobWorkers = async () => {
+  isStarted = false;
+  while (activeWorkers > 0) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+};
@@ -0,0 +1,31 @@
+import { registerJobHandler, startJobWorkers } from './jobQueue.js';
+import { handleProcessDocumentJob, failDocumentProcessing, recoverDocumentProcessing } from './documentProcessor.js';
+import { handleTrainModelJob, failModelTraining, recoverModelTraining } from './modelTrainer.js';
+import { runAsSystem } from '../utils/tenantContext.js';
+
+registerJobHandler('process_document', handleProcessDocumentJob, {
+  visibilityTimeout: 5 * 60 * 1000,
+  maxAttempts: 3,
+  onDead: failDocumentProcessing
+});
+
+registerJobHandler('train_model', handleTrainModelJob, {
+  visibilityTimeout: 10 * 60 * 1000,
+  maxAttempts: 3,
+  backoff: 30 * 1000,
+  onDead: failModelTraining
+});
+
+/**
+ * Re-queues work interrupted by a restart and starts the job workers
+ */
+export const startBackgroundJobs = async () => {
+  const documents = await runAsSystem(recoverDocumentProcessing);
+  const models = await runAsSystem(recoverModelTraining);
+
+  if (documents || models) {
+    console.log(`Recovered ${documents} document(s) and ${models} model training run(s)`);
+  }
+
+  startJobWorkers();
+};
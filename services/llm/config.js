@@ -0,0 +1,64 @@
+// Defaults for each AIModel.baseModel; any value can be overridden through
+// LLM_<BASEMODEL>_API_URL, _API_KEY, _MODEL, _TEMPERATURE and _MAX_TOKENS
+const defaults = {
+  gpt: {
+    endpoint: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    requiresApiKey: true
+  },
+  gemini: {
+    endpoint: 'https://generativelanguage.googleapis.com/v1beta',
+    model: 'gemini-1.5-flash',
+    requiresApiKey: true
+  },
+  mistral: {
+    endpoint: 'https://api.mistral.ai/v1',
+    model: 'mistral-small-latest',
+    requiresApiKey: true
+  },
+  llama: {
+    // Ollama's OpenAI-compatible endpoint
+    endpoint: 'http://localhost:11434/v1',
+    model: 'llama3.1',
+    requiresApiKey: false
+  },
+  custom: {
+    endpoint: undefined,
+    model: undefined,
+    requiresApiKey: false
+  },
+  echo: {
+    requiresApiKey: false
+  }
+};
+
+/**
+ * Parses a numeric environment variable
+ * @param {string} value - Raw value
+ * @param {number} fallback - Value used when unset or invalid
+ * @returns {number} Parsed number
+ */
+const toNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+/**
+ * Resolves the configuration for a provider from defaults and environment
+ * @param {string} name - Provider name (an AIModel.baseModel or 'echo')
+ * @returns {Object} { endpoint, apiKey, model, temperature, maxTokens, requiresApiKey }
+ */
+export const getProviderConfig = (name) => {
+  const prefix = `LLM_${name.toUpperCase()}`;
+  const env = process.env;
+  const base = defaults[name] || defaults.custom;
+
+  return {
+    ...base,
+    endpoint: env[`${prefix}_API_URL`] || base.endpoint,
+    apiKey: env[`${prefix}_API_KEY`],
+    model: env[`${prefix}_MODEL`] || base.model,
+    temperature: toNumber(env[`${prefix}_TEMPERATURE`], toNumber(env.LLM_TEMPERATURE, 0.2)),
+    maxTokens: toNumber(env[`${prefix}_MAX_TOKENS`], toNumber(env.LLM_MAX_TOKENS, 1024))
+  };
+};
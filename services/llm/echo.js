@@ -0,0 +1,45 @@
+/**
+ * Rough token estimate used when a provider does not report usage
+ * @param {string} text - Input text
+ * @returns {number} Estimated token count
+ */
+export const estimateTokens = (text = '') => Math.ceil(text.length / 4);
+
+/**
+ * Creates a local provider that echoes the last user message
+ * Deterministic and offline, for development and tests
+ * @returns {Object} LLM provider
+ */
+const createEchoProvider = () => {
+  const respond = (messages) => {
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    const content = `Echo: ${lastUserMessage ? lastUserMessage.content : ''}`;
+
+    const promptTokens = messages.reduce((total, message) => total + estimateTokens(message.content), 0);
+    const completionTokens = estimateTokens(content);
+
+    return {
+      content,
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens
+    };
+  };
+
+  return {
+    name: 'echo',
+    model: 'echo',
+    generate: async ({ messages }) => respond(messages),
+    stream: async function* ({ messages }) {
+      const { content, ...usage } = respond(messages);
+
+      // Emit word by word, keeping the whitespace
+      for (const token of content.match(/\S+\s*/g) || []) {
+        yield { content: token };
+      }
+      yield { usage };
+    }
+  };
+};
+
+export default createEchoProvider;
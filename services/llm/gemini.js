@@ -0,0 +1,115 @@
+import createError from '../../utils/errorResponse.js';
+import { readServerSentEvents } from './sse.js';
+
+/**
+ * Converts chat messages to Gemini's contents/systemInstruction format
+ * @param {Array<Object>} messages - [{ role, content }]
+ * @returns {Object} Request body fragments
+ */
+const toGeminiRequest = (messages) => {
+  const system = messages
+    .filter(message => message.role === 'system')
+    .map(message => ({ text: message.content }));
+
+  const contents = messages
+    .filter(message => message.role !== 'system')
+    .map(message => ({
+      role: message.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: message.content }]
+    }));
+
+  return system.length > 0
+    ? { contents, systemInstruction: { parts: system } }
+    : { contents };
+};
+
+/**
+ * Maps Gemini usage metadata to the provider response format
+ * @param {Object} usage - usageMetadata from a Gemini response
+ * @returns {Object} { promptTokens, completionTokens, totalTokens }
+ */
+const toUsage = (usage = {}) => ({
+  promptTokens: usage.promptTokenCount || 0,
+  completionTokens: usage.candidatesTokenCount || 0,
+  totalTokens: usage.totalTokenCount || 0
+});
+
+/**
+ * Joins the text parts of the first candidate
+ * @param {Object} data - Gemini response
+ * @returns {string} Candidate text
+ */
+const candidateText = (data) => (data.candidates?.[0]?.content?.parts || [])
+  .map(part => part.text || '')
+  .join('');
+
+/**
+ * Creates a provider for Google's Gemini generateContent API
+ * @param {Object} config - { endpoint, apiKey, model, temperature, maxTokens }
+ * @returns {Object} LLM provider
+ */
+const createGeminiProvider = (config) => {
+  const request = async (method, { messages, temperature, maxTokens, signal }) => {
+    const url = `${config.endpoint.replace(/\/$/, '')}/models/${config.model}:${method}`;
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': config.apiKey
+      },
+      signal,
+      body: JSON.stringify({
+        ...toGeminiRequest(messages),
+        generationConfig: {
+          temperature: temperature ?? config.temperature,
+          maxOutputTokens: maxTokens ?? config.maxTokens
+        }
+      })
+    });
+
+    if (!response.ok) {
+      // The body can hold provider details, so it is logged rather than returned
+      const body = await response.text();
+      console.error(`gemini request failed (${response.status}):`, body);
+      throw createError('The AI provider could not complete the request', 502);
+    }
+
+    return response;
+  };
+
+  return {
+    name: 'gemini',
+    model: config.model,
+    generate: async (options) => {
+      const data = await (await request('generateContent', options)).json();
+
+      return {
+        content: candidateText(data),
+        ...toUsage(data.usageMetadata)
+      };
+    },
+    stream: async function* (options) {
+      const response = await request('streamGenerateContent?alt=sse', options);
+      let usage = null;
+
+      for await (const data of readServerSentEvents(response)) {
+        const event = JSON.parse(data);
+        const content = candidateText(event);
+        if (content) {
+          yield { content };
+        }
+        // Every event carries cumulative usage, keep the last one
+        if (event.usageMetadata) {
+          usage = toUsage(event.usageMetadata);
+        }
+      }
+
+      if (usage) {
+        yield { usage };
+      }
+    }
+  };
+};
+
+export default createGeminiProvider;
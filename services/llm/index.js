@@ -0,0 +1,90 @@
+import createOpenAICompatibleProvider from './openaiCompatible.js';
+import createGeminiProvider from './gemini.js';
+import createEchoProvider, { estimateTokens } from './echo.js';
+import { getProviderConfig } from './config.js';
+import createError from '../../utils/errorResponse.js';
+
+// One factory per AIModel.baseModel, plus the local echo provider
+const factories = {
+  gpt: config => createOpenAICompatibleProvider('gpt', config),
+  gemini: config => createGeminiProvider(config),
+  mistral: config => createOpenAICompatibleProvider('mistral', config),
+  llama: config => createOpenAICompatibleProvider('llama', config),
+  custom: config => createOpenAICompatibleProvider('custom', config),
+  echo: () => createEchoProvider()
+};
+
+export { estimateTokens };
+
+const instances = {};
+let overrideProvider = null;
+
+/**
+ * Registers or replaces a provider factory
+ * @param {string} name - Provider name
+ * @param {Function} factory - Receives the resolved config, returns a provider
+ */
+export const registerLLMProvider = (name, factory) => {
+  factories[name] = factory;
+  delete instances[name];
+};
+
+/**
+ * Forces every model to use one provider instance (useful in tests)
+ * @param {Object|null} provider - Provider instance, or null to reset
+ */
+export const setLLMProvider = (provider) => {
+  overrideProvider = provider;
+};
+
+/**
+ * Returns the provider for an AI model
+ * LLM_PROVIDER, when set, takes precedence over the model's baseModel
+ * @param {Object} model - AIModel document
+ * @returns {Object} Provider with { name, model, generate(options), stream(options) }
+ */
+export const getLLMProvider = (model) => {
+  if (overrideProvider) {
+    return overrideProvider;
+  }
+
+  const name = process.env.LLM_PROVIDER || model.baseModel;
+  const factory = factories[name];
+
+  if (!factory) {
+    throw createError(`Unknown LLM provider: ${name}`, 500);
+  }
+
+  if (!instances[name]) {
+    const config = getProviderConfig(name);
+
+    if (name !== 'echo' && !config.endpoint) {
+      throw createError(`LLM provider ${name} is not configured: set LLM_${name.toUpperCase()}_API_URL`, 503);
+    }
+    if (config.requiresApiKey && !config.apiKey) {
+      throw createError(`LLM provider ${name} is not configured: set LLM_${name.toUpperCase()}_API_KEY`, 503);
+    }
+
+    instances[name] = factory(config);
+  }
+
+  return instances[name];
+};
+
+/**
+ * Streams a completion from a provider
+ * Providers without native streaming yield their whole reply at once
+ * @param {Object} provider - LLM provider
+ * @param {Object} options - { messages, temperature, maxTokens, signal }
+ * @returns {AsyncGenerator<Object>} { content } deltas followed by { usage }
+ */
+export async function* streamCompletion(provider, options) {
+  if (provider.stream) {
+    yield* provider.stream(options);
+    return;
+  }
+
+  const { content, ...usage } = await provider.generate(options);
+  yield { content };
+  yield { usage };
+}
@@ -0,0 +1,89 @@
+import createError from '../../utils/errorResponse.js';
+import { readServerSentEvents } from './sse.js';
+
+/**
+ * Maps an OpenAI usage object to the provider response format
+ * @param {Object} usage - { prompt_tokens, completion_tokens, total_tokens }
+ * @returns {Object} { promptTokens, completionTokens, totalTokens }
+ */
+const toUsage = (usage = {}) => ({
+  promptTokens: usage.prompt_tokens || 0,
+  completionTokens: usage.completion_tokens || 0,
+  totalTokens: usage.total_tokens || 0
+});
+
+/**
+ * Creates a provider for APIs that implement OpenAI's /chat/completions
+ * Used for GPT, Mistral, Llama (Ollama, vLLM) and custom endpoints
+ * @param {string} name - Provider name
+ * @param {Object} config - { endpoint, apiKey, model, temperature, maxTokens }
+ * @returns {Object} LLM provider
+ */
+const createOpenAICompatibleProvider = (name, config) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) {
+    headers.Authorization = `Bearer ${config.apiKey}`;
+  }
+
+  const request = async ({ messages, temperature, maxTokens, signal }, extraBody = {}) => {
+    const response = await fetch(`${config.endpoint.replace(/\/$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers,
+      signal,
+      body: JSON.stringify({
+        model: config.model,
+        messages,
+        temperature: temperature ?? config.temperature,
+        max_tokens: maxTokens ?? config.maxTokens,
+        ...extraBody
+      })
+    });
+
+    if (!response.ok) {
+      // The body can hold provider details, so it is logged rather than returned
+      const body = await response.text();
+      console.error(`${name} request failed (${response.status}):`, body);
+      throw createError('The AI provider could not complete the request', 502);
+    }
+
+    return response;
+  };
+
+  return {
+    name,
+    model: config.model,
+    generate: async (options) => {
+      const response = await request(options);
+      const data = await response.json();
+
+      return {
+        content: data.choices?.[0]?.message?.content || '',
+        ...toUsage(data.usage)
+      };
+    },
+    stream: async function* (options) {
+      // Only OpenAI itself is known to accept stream_options
+      const extraBody = name === 'gpt'
+        ? { stream: true, stream_options: { include_usage: true } }
+        : { stream: true };
+      const response = await request(options, extraBody);
+
+      for await (const data of readServerSentEvents(response)) {
+        if (data === '[DONE]') {
+          break;
+        }
+
+        const event = JSON.parse(data);
+        const content = event.choices?.[0]?.delta?.content;
+        if (content) {
+          yield { content };
+        }
+        if (event.usage) {
+          yield { usage: toUsage(event.usage) };
+        }
+      }
+    }
+  };
+};
+
+export default createOpenAICompatibleProvider;
@@ -0,0 +1,31 @@
+/**
+ * Reads a Server-Sent Events response body and yields each event's data
+ * @param {Response} response - fetch response with an event-stream body
+ * @returns {AsyncGenerator<string>} Data payload of each event
+ */
+export async function* readServerSentEvents(response) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    // Events are separated by a blank line
+    let boundary = buffer.search(/\r?\n\r?\n/);
+    while (boundary !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+      const data = rawEvent
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).replace(/^ /, ''))
+        .join('\n');
+
+      if (data) {
+        yield data;
+      }
+      boundary = buffer.search(/\r?\n\r?\n/);
+    }
+  }
+}
@@ -0,0 +1,132 @@
+import { getThrottleStore } from './throttle/index.js';
+import { sendEmail } from './email/index.js';
+import { accountLockedEmail, clientUrl } from './email/templates.js';
+
+/**
+ * Reads the throttling rules from the environment
+ * @returns {Object} Limits, in attempts and ms
+ */
+export const getLoginThrottleConfig = () => ({
+  maxAccountAttempts: parseInt(process.env.LOGIN_MAX_ACCOUNT_ATTEMPTS, 10) || 5,
+  maxIpAttempts: parseInt(process.env.LOGIN_MAX_IP_ATTEMPTS, 10) || 20,
+  windowMs: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MS, 10) || 15 * 60 * 1000,
+  lockoutMs: parseInt(process.env.LOGIN_LOCKOUT_MS, 10) || 15 * 60 * 1000,
+  delayBaseMs: parseInt(process.env.LOGIN_DELAY_BASE_MS, 10) || 1000,
+  delayMaxMs: parseInt(process.env.LOGIN_DELAY_MAX_MS, 10) || 30 * 1000
+});
+
+const accountKey = (email) => `login:account:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `login:ip:${ip}`;
+
+/**
+ * Delay required after a number of consecutive failures: base, 2x, 4x, ... up to the maximum
+ * @param {number} failures - Failed attempts so far
+ * @param {Object} config - Throttle config
+ * @returns {number} Delay in ms
+ */
+const getDelay = (failures, config) => (
+  failures > 0 ? Math.min(config.delayBaseMs * 2 ** (failures - 1), config.delayMaxMs) : 0
+);
+
+/**
+ * Checks whether a login attempt may proceed
+ * @param {Object} options - { email, ip }
+ * @returns {Promise<Object|null>} { message, retryAfterMs } if the attempt must be refused
+ */
+export const checkLoginThrottle = async ({ email, ip }) => {
+  const store = getThrottleStore();
+  const config = getLoginThrottleConfig();
+  const now = Date.now();
+
+  const ipEntry = await store.get(ipKey(ip));
+  if (ipEntry?.lockedUntil > now) {
+    return {
+      message: 'Too many failed login attempts from this network. Try again later',
+      retryAfterMs: ipEntry.lockedUntil - now
+    };
+  }
+
+  const accountEntry = await store.get(accountKey(email));
+  if (accountEntry?.lockedUntil > now) {
+    return {
+      message: 'Account temporarily locked after too many failed login attempts',
+      retryAfterMs: accountEntry.lockedUntil - now
+    };
+  }
+
+  if (accountEntry) {
+    const waitUntil = new Date(accountEntry.lastAttemptAt).getTime() + getDelay(accountEntry.count, config);
+    if (waitUntil > now) {
+      return {
+        message: 'Too many failed login attempts. Wait before trying again',
+        retryAfterMs: waitUntil - now
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Records a failed login and locks the account or IP when its limit is reached
+ * The account owner is emailed when their account gets locked.
+ * @param {Object} options - { email, ip, user } - user is the matching account, if any
+ * @returns {Promise<Object>} { accountLocked, ipLocked }
+ */
+export const recordLoginFailure = async ({ email, ip, user }) => {
+  const store = getThrottleStore();
+  const config = getLoginThrottleConfig();
+  const lockedUntil = new Date(Date.now() + config.lockoutMs);
+
+  const ipEntry = await store.increment(ipKey(ip), config.windowMs);
+  const ipLocked = ipEntry.count >= config.maxIpAttempts;
+  if (ipLocked) {
+    await store.lock(ipKey(ip), lockedUntil);
+  }
+
+  const accountEntry = await store.increment(accountKey(email), config.windowMs);
+  const accountLocked = accountEntry.count >= config.maxAccountAttempts;
+  if (accountLocked) {
+    await store.lock(accountKey(email), lockedUntil);
+
+    // Only notify on the attempt that triggers the lock
+    if (user && accountEntry.count === config.maxAccountAttempts) {
+      sendEmail({
+        to: user.email,
+        ...accountLockedEmail({
+          name: user.name,
+          lockedUntil,
+          ip,
+          resetUrl: clientUrl('/forgot-password')
+        })
+      }).catch(err => console.error('Lockout email error:', err.message));
+    }
+  }
+
+  return { accountLocked, ipLocked };
+};
+
+/**
+ * Clears an account's failed-attempt counter after a successful login
+ * The IP counter is kept, so one valid account can't reset it for an attacker
+ * @param {string} email - Account email
+ */
+export const resetLoginFailures = (email) => getThrottleStore().reset(accountKey(email));
+
+/**
+ * Lifts an account lockout and clears its failed-attempt counter
+ * @param {string} email - Account email
+ */
+export const unlockAccount = (email) => getThrottleStore().reset(accountKey(email));
+
+/**
+ * Returns the lockout state of an account
+ * @param {string} email - Account email
+ * @returns {Promise<Object>} { failedAttempts, lockedUntil }
+ */
+export const getAccountLockState = async (email) => {
+  const entry = await getThrottleStore().get(accountKey(email));
+  const lockedUntil = entry?.lockedUntil > Date.now() ? entry.lockedUntil : null;
+
+  return { failedAttempts: entry?.count || 0, lockedUntil };
+};
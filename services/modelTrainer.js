@@ -0,0 +1,339 @@
+import Document from '../models/Document.js';
+import DocumentChunk from '../models/DocumentChunk.js';
+import AIModel from '../models/AIModel.js';
+import TrainingRun from '../models/TrainingRun.js';
+import { ensureDocumentProcessed } from './documentProcessor.js';
+import { enqueueJob, findActiveJob, isCancelRequested } from './jobQueue.js';
+import { indexDocument } from './retrieval.js';
+import { getEmbeddingProvider } from './embeddings/index.js';
+import { getLLMProvider } from './llm/index.js';
+
+const SUMMARY_EXCERPT_LENGTH = 1500;
+const SUMMARY_INPUT_LIMIT = 12000;
+
+/**
+ * Makes sure a document has extracted text and an up-to-date retrieval index
+ * @param {Object} document - Document attached to the model
+ * @returns {Promise<Object>} Document in its final processing state
+ */
+const prepareDocument = async (document) => {
+  document = await ensureDocumentProcessed(document);
+
+  // Re-index if the embedding provider changed since the document was processed
+  if (document.processingStatus === 'completed') {
+    const hasChunks = await DocumentChunk.exists({
+      document: document._id,
+      embeddingProvider: getEmbeddingProvider().name
+    });
+    if (!hasChunks) {
+      await indexDocument(document);
+    }
+  }
+
+  return document;
+};
+
+/**
+ * Asks the model's LLM provider for an overview of its documents
+ * @param {Object} model - AIModel document
+ * @param {Array<Object>} documents - Processed documents
+ * @returns {Promise<Object>} Provider response
+ */
+const summarizeDocuments = async (model, documents) => {
+  let excerpts = '';
+  for (const document of documents) {
+    const excerpt = `# ${document.title}\n${(document.extractedText || '').slice(0, SUMMARY_EXCERPT_LENGTH)}\n\n`;
+    if (excerpts.length + excerpt.length > SUMMARY_INPUT_LIMIT) {
+      break;
+    }
+    excerpts += excerpt;
+  }
+
+  return getLLMProvider(model).generate({
+    messages: [
+      {
+        role: 'system',
+        content: 'Summarize what the following documents cover in a short paragraph. This overview helps an assistant decide which questions it can answer.'
+      },
+      { role: 'user', content: excerpts }
+    ]
+  });
+};
+
+/**
+ * Error thrown at a checkpoint when a run has been cancelled
+ * @returns {Error} Error flagged as a cancellation
+ */
+const cancellationError = () => Object.assign(new Error('Training was cancelled'), { cancelled: true });
+
+/**
+ * Returns the most recent successful training run of a model
+ * @param {string} modelId - AIModel ID
+ * @returns {Promise<Object|null>} Training run
+ */
+export const getLastSuccessfulRun = (modelId) => TrainingRun.findOne({
+  model: modelId,
+  status: 'completed'
+}).sort('-completedAt');
+
+/**
+ * Status a model returns to when a run is cancelled
+ * @param {string} modelId - AIModel ID
+ * @returns {Promise<string>} 'ready' if it was trained before, otherwise 'pending'
+ */
+export const getIdleStatus = async (modelId) => (
+  (await getLastSuccessfulRun(modelId)) ? 'ready' : 'pending'
+);
+
+/**
+ * Trains an AI model on its documents
+ * Processes and indexes the attached documents, then stores an overview
+ * generated by the model's LLM provider in `modelData`. Incremental runs
+ * only process documents added or changed since the last successful run.
+ * @param {Object} model - AIModel document in the `training` state
+ * @param {Object} run - TrainingRun being executed
+ * @param {Object} options - { isCancelled: async () => boolean }
+ * @returns {Promise<Object>} Updated model
+ */
+export const runModelTraining = async (model, run, { isCancelled = async () => false } = {}) => {
+  try {
+    const lastRun = await getLastSuccessfulRun(model._id);
+    const previous = new Map(
+      (lastRun?.documents || []).map(entry => [entry.document.toString(), entry.contentHash])
+    );
+    const isFull = run.mode === 'full' || !lastRun;
+
+    const documents = await Document.find({ _id: { $in: model.documents } });
+    const currentIds = new Set(documents.map(document => document._id.toString()));
+    const entries = [];
+    const processed = [];
+    let changes = 0;
+
+    for (let i = 0; i < documents.length; i++) {
+      if (await isCancelled()) {
+        throw cancellationError();
+      }
+
+      let document = documents[i];
+      const id = document._id.toString();
+      const previousHash = previous.get(id);
+      let change = 'added';
+
+      if (previous.has(id)) {
+        const isUnchanged = document.processingStatus === 'completed' && document.contentHash === previousHash;
+        change = isUnchanged ? 'unchanged' : 'changed';
+      }
+
+      let status = 'skipped';
+      if (isFull || change !== 'unchanged') {
+        document = await prepareDocument(document);
+        status = document.processingStatus === 'completed' ? 'processed' : 'failed';
+
+        // Re-processing may show the content did not actually change
+        if (change === 'changed' && document.contentHash === previousHash) {
+          change = 'unchanged';
+        }
+      }
+
+      if (change !== 'unchanged') {
+        changes++;
+      }
+      if (document.processingStatus === 'completed') {
+        processed.push(document);
+      }
+
+      entries.push({
+        document: document._id,
+        title: document.title,
+        contentHash: document.contentHash,
+        change,
+        status
+      });
+
+      // Reserve the last 10% for the summary step
+      model.trainingProgress = Math.floor(((i + 1) / documents.length) * 90);
+      await model.save();
+    }
+
+    run.documents = entries;
+    run.removedDocuments = [...previous.keys()].filter(id => !currentIds.has(id));
+    changes += run.removedDocuments.length;
+
+    if (processed.length === 0) {
+      throw new Error('None of the model documents could be processed');
+    }
+
+    if (await isCancelled()) {
+      throw cancellationError();
+    }
+
+    // Only ask the provider for a new overview when the document set changed
+    let { summary, summaryTokens } = model.modelData || {};
+    if (isFull || changes > 0 || !summary) {
+      const response = await summarizeDocuments(model, processed);
+      summary = response.content;
+      summaryTokens = response.totalTokens;
+    }
+
+    model.modelData = {
+      ...model.modelData,
+      summary,
+      summaryTokens,
+      trainedDocuments: processed.map(document => document._id),
+      failedDocuments: entries
+        .filter(entry => entry.status === 'failed')
+        .map(entry => entry.document)
+    };
+
+    // Documents attached or detached while training still need another run
+    const current = await AIModel.findById(model._id).select('documents');
+    const trainedIds = new Set(model.documents.map(id => id.toString()));
+    model.needsRetraining = current.documents.length !== trainedIds.size ||
+      current.documents.some(id => !trainedIds.has(id.toString()));
+
+    model.status = 'ready';
+    model.trainingError = undefined;
+    model.trainingProgress = 100;
+    run.status = 'completed';
+    run.error = undefined;
+  } catch (err) {
+    if (err.cancelled) {
+      model.status = await getIdleStatus(model._id);
+      model.trainingError = undefined;
+      run.status = 'cancelled';
+    } else {
+      console.error(`Training failed for model ${model._id}:`, err.message);
+      model.status = 'failed';
+      model.trainingError = err.message;
+      run.status = 'failed';
+      run.error = err.message;
+    }
+  }
+
+  model.trainingCompletedAt = Date.now();
+  await model.save();
+
+  run.completedAt = Date.now();
+  run.durationMs = run.completedAt - run.startedAt;
+  await run.save();
+
+  return model;
+};
+
+/**
+ * Queues a training run for a model
+ * @param {string} modelId - AIModel ID
+ * @param {string} runId - TrainingRun ID
+ * @returns {Promise<Object>} Created job
+ */
+export const enqueueModelTraining = (modelId, runId) => enqueueJob('train_model', {
+  resourceId: modelId.toString(),
+  runId: runId.toString()
+});
+
+/**
+ * Records a training run and queues its job
+ * @param {Object} model - AIModel document
+ * @param {Object} options - { userId, mode }
+ * @returns {Promise<Object>} Created training run
+ */
+export const startTrainingRun = async (model, { userId, mode = 'incremental' } = {}) => {
+  const run = await TrainingRun.create({
+    model: model._id,
+    tenant: model.tenant ?? null,
+    user: userId,
+    mode
+  });
+
+  const job = await enqueueModelTraining(model._id, run._id);
+  run.job = job._id;
+  await run.save();
+
+  return run;
+};
+
+/**
+ * Job handler for `train_model`
+ * Throws when training fails so the queue retries it
+ * @param {Object} payload - { resourceId, runId }
+ * @param {Object} job - Job being run
+ * @returns {Promise<Object>} Job result
+ */
+export const handleTrainModelJob = async ({ resourceId, runId }, job) => {
+  const model = await AIModel.findById(resourceId);
+  const run = await TrainingRun.findById(runId);
+
+  // The model was deleted after the job was queued
+  if (!model || !run) {
+    return { skipped: true };
+  }
+
+  model.status = 'training';
+  model.trainingProgress = 0;
+  await model.save();
+
+  run.status = 'running';
+  run.attempts = job.attempts;
+  run.startedAt = run.startedAt || Date.now();
+  await run.save();
+
+  await runModelTraining(model, run, {
+    isCancelled: () => isCancelRequested(job._id)
+  });
+
+  if (model.status === 'failed') {
+    // Keep the model in training while the queue still has retries left
+    if (job.attempts < job.maxAttempts) {
+      model.status = 'training';
+      await model.save();
+      run.status = 'queued';
+      await run.save();
+    }
+    throw new Error(model.trainingError);
+  }
+
+  return { runId: run._id, status: run.status };
+};
+
+/**
+ * Dead-letter hook for `train_model`: marks the model and its run failed when
+ * the queue gives up on them, e.g. after the last attempt timed out
+ * @param {Object} payload - { resourceId, runId }
+ * @param {string} error - Why the job was given up on
+ */
+export const failModelTraining = async ({ resourceId, runId }, error) => {
+  const completedAt = Date.now();
+
+  await AIModel.updateOne(
+    { _id: resourceId, status: 'training' },
+    { status: 'failed', trainingError: error, trainingCompletedAt: completedAt }
+  );
+
+  const run = await TrainingRun.findOne({ _id: runId, status: { $in: ['queued', 'running'] } });
+  if (run) {
+    run.status = 'failed';
+    run.error = error;
+    run.completedAt = completedAt;
+    run.durationMs = run.startedAt ? completedAt - run.startedAt : undefined;
+    await run.save();
+  }
+};
+
+/**
+ * Queues training for models left in the `training` state without a job,
+ * e.g. after a crash or from before the queue existed
+ * @returns {Promise<number>} Number of models queued
+ */
+export const recoverModelTraining = async () => {
+  const models = await AIModel.find({ status: 'training' }).select('_id user tenant');
+
+  let recovered = 0;
+  for (const model of models) {
+    if (!(await findActiveJob('train_model', model._id))) {
+      await startTrainingRun(model, { userId: model.user });
+      recovered++;
+    }
+  }
+
+  return recovered;
+};
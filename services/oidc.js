@@ -0,0 +1,249 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import jwt from 'jsonwebtoken';
+import createError from '../utils/errorResponse.js';
+
+const REQUEST_TIMEOUT = parseInt(process.env.OIDC_REQUEST_TIMEOUT, 10) || 10000;
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Discovery documents and signing keys, keyed by issuer / jwks_uri
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+// Addresses an identity provider must not resolve to: loopback, private,
+// link-local (cloud metadata), carrier-grade NAT, multicast and reserved
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Whether identity providers may be reached over plain http and on local or
+ * private addresses, for development against scripts/mockOidcProvider.js
+ * @returns {boolean} True if SSO_ALLOW_INSECURE_ISSUERS is 'true'
+ */
+export const allowInsecureIssuers = () => process.env.SSO_ALLOW_INSECURE_ISSUERS === 'true';
+
+/**
+ * Checks that an identity provider URL is https and resolves only to public
+ * addresses, so a connection can't make the server call internal services
+ * @param {string} url - Issuer or endpoint URL
+ * @returns {Promise<void>} Rejects with a 400 error if the URL is not allowed
+ */
+export const checkProviderUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    throw createError('Invalid identity provider URL', 400);
+  }
+
+  if (allowInsecureIssuers()) {
+    if (!['https:', 'http:'].includes(parsed.protocol)) {
+      throw createError('Identity provider URLs must use http or https', 400);
+    }
+    return;
+  }
+  if (parsed.protocol !== 'https:') {
+    throw createError('Identity provider URLs must use https', 400);
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(parsed.hostname.replace(/^\[|\]$/g, ''), { all: true });
+  } catch (err) {
+    throw createError(`Identity provider host ${parsed.hostname} could not be resolved`, 400);
+  }
+
+  if (addresses.some(({ address, family }) => blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+    throw createError(`Identity provider host ${parsed.hostname} is not a public address`, 400);
+  }
+};
+
+/**
+ * Fetches JSON from an identity provider
+ * Every URL is checked first, including the endpoints a discovery document
+ * names, and redirects are not followed.
+ * @param {string} url - Endpoint URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} Parsed body
+ */
+const fetchJson = async (url, options = {}) => {
+  await checkProviderUrl(url);
+
+  let response;
+  try {
+    response = await fetch(url, { ...options, redirect: 'error', signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+  } catch (err) {
+    console.error(`Identity provider unreachable at ${url}:`, err.message);
+    throw createError('Identity provider unreachable', 502);
+  }
+
+  const body = await response.json().catch(() => ({}));
+
+  // Provider errors can echo configuration, so details are logged rather than returned
+  if (!response.ok) {
+    const detail = body.error_description || body.error || response.statusText;
+    console.error(`Identity provider error at ${url} (${response.status}):`, detail);
+    throw createError('The identity provider rejected the request', 502);
+  }
+
+  return body;
+};
+
+/**
+ * Creates a PKCE code verifier and its S256 challenge
+ * @returns {Object} { codeVerifier, codeChallenge }
+ */
+export const createPkcePair = () => {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  return { codeVerifier, codeChallenge };
+};
+
+/**
+ * Loads an issuer's discovery document (/.well-known/openid-configuration)
+ * @param {string} issuer - Issuer URL
+ * @returns {Promise<Object>} Provider metadata
+ */
+export const discoverIssuer = async (issuer) => {
+  const cached = metadataCache.get(issuer);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+
+  if (metadata.issuer !== issuer) {
+    console.error(`Issuer mismatch: discovery document of ${issuer} is for ${metadata.issuer}`);
+    throw createError('Issuer mismatch in the identity provider\'s discovery document', 502);
+  }
+
+  metadataCache.set(issuer, { metadata, expiresAt: Date.now() + METADATA_CACHE_MS });
+  return metadata;
+};
+
+/**
+ * Builds the URL that sends the user to the provider's login page
+ * @param {Object} metadata - Provider metadata
+ * @param {Object} options - { clientId, redirectUri, scopes, state, nonce, codeChallenge, loginHint }
+ * @returns {string} Authorization URL
+ */
+export const buildAuthorizationUrl = (metadata, { clientId, redirectUri, scopes, state, nonce, codeChallenge, loginHint }) => {
+  const url = new URL(metadata.authorization_endpoint);
+
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope: scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+    ...(loginHint ? { login_hint: loginHint } : {})
+  });
+
+  return url.toString();
+};
+
+/**
+ * Exchanges an authorization code for tokens
+ * @param {Object} metadata - Provider metadata
+ * @param {Object} options - { code, codeVerifier, clientId, clientSecret, redirectUri }
+ * @returns {Promise<Object>} Token response with id_token
+ */
+export const exchangeAuthorizationCode = async (metadata, { code, codeVerifier, clientId, clientSecret, redirectUri }) => {
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: clientId,
+      client_secret: clientSecret,
+      code_verifier: codeVerifier
+    })
+  });
+
+  if (!tokens.id_token) {
+    throw createError('Identity provider did not return an ID token', 502);
+  }
+
+  return tokens;
+};
+
+/**
+ * Finds the provider key that signed a token, refetching the key set once
+ * when the key ID is unknown (the provider may have rotated its keys)
+ * @param {string} jwksUri - Key set URL
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<Object>} Public key
+ */
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) => keys.find(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+
+  let keys = jwksCache.get(jwksUri);
+  let jwk = keys && findKey(keys);
+
+  if (!jwk) {
+    keys = (await fetchJson(jwksUri)).keys || [];
+    jwksCache.set(jwksUri, keys);
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) {
+    throw createError('ID token signed with an unknown key', 401);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Verifies an ID token's signature, issuer, audience, expiry and nonce
+ * @param {Object} metadata - Provider metadata
+ * @param {string} idToken - ID token
+ * @param {Object} options - { clientId, nonce }
+ * @returns {Promise<Object>} Token claims
+ */
+export const verifyIdToken = async (metadata, idToken, { clientId, nonce }) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+    throw createError('Invalid ID token', 401);
+  }
+
+  const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: metadata.issuer,
+      audience: clientId,
+      clockTolerance: 60
+    });
+  } catch (err) {
+    console.error('ID token verification failed:', err.message);
+    throw createError('Invalid ID token', 401);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw createError('Invalid ID token: nonce mismatch', 401);
+  }
+
+  return claims;
+};
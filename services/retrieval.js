@@ -0,0 +1,175 @@
+import DocumentChunk from '../models/DocumentChunk.js';
+import Document from '../models/Document.js';
+import { chunkPages } from './chunker.js';
+import { getEmbeddingProvider } from './embeddings/index.js';
+
+const EMBEDDING_BATCH_SIZE = 64;
+const DEFAULT_TOP_K = parseInt(process.env.RETRIEVAL_TOP_K, 10) || 5;
+const DEFAULT_MIN_SCORE = parseFloat(process.env.RETRIEVAL_MIN_SCORE) || 0;
+const MAX_CANDIDATES = parseInt(process.env.RETRIEVAL_MAX_CANDIDATES, 10) || 5000;
+const SNIPPET_LENGTH = 300;
+
+/**
+ * Cosine similarity between two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} Similarity in [-1, 1]
+ */
+export const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (!normA || !normB) {
+    return 0;
+  }
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+/**
+ * Splits a processed document into chunks and stores their embeddings
+ * Existing chunks for the document are replaced
+ * @param {Object} document - Document with `pages` populated
+ * @returns {Promise<number>} Number of chunks stored
+ */
+export const indexDocument = async (document) => {
+  const provider = getEmbeddingProvider();
+  const chunks = chunkPages(document.pages || []);
+
+  const embeddings = [];
+  for (let i = 0; i < chunks.length; i += EMBEDDING_BATCH_SIZE) {
+    const batch = chunks.slice(i, i + EMBEDDING_BATCH_SIZE);
+    embeddings.push(...await provider.embed(batch.map(chunk => chunk.text)));
+  }
+
+  await DocumentChunk.deleteMany({ document: document._id });
+
+  if (chunks.length > 0) {
+    await DocumentChunk.insertMany(chunks.map((chunk, i) => ({
+      ...chunk,
+      document: document._id,
+      user: document.user,
+      team: document.team,
+      tenant: document.tenant ?? null,
+      embedding: embeddings[i],
+      embeddingProvider: provider.name
+    })));
+  }
+
+  return chunks.length;
+};
+
+/**
+ * Removes all indexed chunks for a document
+ * @param {string} documentId - Document ID
+ */
+export const removeDocumentIndex = (documentId) => DocumentChunk.deleteMany({ document: documentId });
+
+/**
+ * Returns the chunks most relevant to a query, restricted to the documents
+ * attached to an AI model
+ * At most RETRIEVAL_MAX_CANDIDATES chunks are scored per query. Models with
+ * more chunks than that are narrowed down to the best text-search matches
+ * first, and chunks are streamed so only the best topK stay in memory.
+ * @param {Object} model - AIModel with a `documents` array of IDs
+ * @param {string} query - User query
+ * @param {Object} options - { topK, minScore, maxCandidates }
+ * @returns {Promise<Array<Object>>} Chunks with `score` and `document` ({ _id, title })
+ */
+export const retrieveChunks = async (model, query, options = {}) => {
+  const topK = options.topK || DEFAULT_TOP_K;
+  const minScore = options.minScore ?? DEFAULT_MIN_SCORE;
+  const maxCandidates = options.maxCandidates || MAX_CANDIDATES;
+  const documentIds = (model.documents || []).map(doc => doc._id || doc);
+
+  if (documentIds.length === 0 || !query) {
+    return [];
+  }
+
+  const provider = getEmbeddingProvider();
+  const [queryEmbedding] = await provider.embed([query]);
+
+  // Only compare against vectors produced by the same provider
+  const filter = {
+    document: { $in: documentIds },
+    embeddingProvider: provider.name
+  };
+
+  let candidates = DocumentChunk.find(filter);
+  if (await DocumentChunk.countDocuments(filter) > maxCandidates) {
+    candidates = DocumentChunk.find({ ...filter, $text: { $search: query } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(maxCandidates);
+  }
+
+  const best = [];
+  for await (const { embedding, ...chunk } of candidates.select('+embedding').lean().cursor()) {
+    const score = cosineSimilarity(queryEmbedding, embedding);
+
+    if (score > minScore && (best.length < topK || score > best[best.length - 1].score)) {
+      best.push({ ...chunk, score });
+      best.sort((a, b) => b.score - a.score);
+      best.length = Math.min(best.length, topK);
+    }
+  }
+
+  const documents = await Document.find({ _id: { $in: best.map(chunk => chunk.document) } }).select('title').lean();
+
+  return best.map(chunk => ({
+    ...chunk,
+    document: documents.find(document => document._id.equals(chunk.document)) || null
+  }));
+};
+
+/**
+ * Shortens chunk text to a quotable snippet, cutting at a word boundary
+ * @param {string} text - Chunk text
+ * @returns {string} Snippet
+ */
+const toSnippet = (text) => {
+  if (text.length <= SNIPPET_LENGTH) {
+    return text;
+  }
+  const cut = text.lastIndexOf(' ', SNIPPET_LENGTH);
+  return `${text.slice(0, cut > 0 ? cut : SNIPPET_LENGTH)}…`;
+};
+
+/**
+ * Builds structured citations from retrieved chunks
+ * Keeps the best-scoring chunk for each document page
+ * @param {Array<Object>} chunks - Chunks returned by retrieveChunks
+ * @returns {Array<Object>} [{ documentId, title, page, snippet, chunkId, score }]
+ */
+export const buildCitations = (chunks) => {
+  const seen = new Set();
+  const citations = [];
+
+  for (const chunk of chunks) {
+    if (!chunk.document) {
+      continue;
+    }
+
+    const key = `${chunk.document._id}:${chunk.pageNumber}`;
+    if (seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+
+    citations.push({
+      documentId: chunk.document._id,
+      title: chunk.document.title,
+      page: chunk.pageNumber,
+      snippet: toSnippet(chunk.text),
+      chunkId: chunk._id,
+      score: Number(chunk.score.toFixed(4))
+    });
+  }
+
+  return citations;
+};
@@ -0,0 +1,184 @@
+import crypto from 'crypto';
+import Session from '../models/Session.js';
+import createError from '../utils/errorResponse.js';
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+
+/**
+ * Hashes a refresh token secret for storage
+ * @param {string} secret - Random part of the refresh token
+ * @returns {string} sha256 hex digest
+ */
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Creates a refresh token secret
+ * @returns {string} Random hex string
+ */
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Builds a short device label from a user agent, e.g. "Chrome on Windows"
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} Device label
+ */
+export const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//], ['Safari', /Safari\//], ['curl', /curl\//],
+    ['Postman', /PostmanRuntime/]
+  ];
+  const systems = [
+    ['Windows', /Windows/], ['Android', /Android/], ['iOS', /iPhone|iPad/],
+    ['macOS', /Mac OS X/], ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && system) {
+    return `${browser} on ${system}`;
+  }
+  return browser || system || 'Unknown device';
+};
+
+/**
+ * Starts a session for a user who just authenticated
+ * @param {Object} user - User document
+ * @param {Object} req - Express request, for device and IP
+ * @returns {Promise<Object>} { session, refreshToken }
+ */
+export const createSession = async (user, req) => {
+  const secret = generateSecret();
+  const userAgent = req.headers['user-agent'];
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    device: describeDevice(userAgent),
+    userAgent,
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+/**
+ * Exchanges a refresh token for a new one
+ * Presenting a token that was already rotated means it was copied, so the
+ * whole session is revoked.
+ * @param {string} refreshToken - Token issued by createSession or a previous rotation
+ * @param {Object} req - Express request, for device and IP
+ * @returns {Promise<Object>} { session, refreshToken }
+ */
+export const rotateRefreshToken = async (refreshToken, req) => {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+
+  if (!secret || !/^[a-f\d]{24}$/i.test(sessionId)) {
+    throw createError('Invalid refresh token', 401);
+  }
+
+  const session = await Session.findById(sessionId).select('+refreshTokenHash +previousTokenHash');
+
+  if (!session || !session.isActive()) {
+    throw createError('Session expired or revoked', 401);
+  }
+
+  const hash = hashToken(secret);
+
+  if (hash !== session.refreshTokenHash) {
+    if (hash === session.previousTokenHash) {
+      session.revokedAt = Date.now();
+      session.revokedReason = 'refresh_token_reuse';
+      await session.save();
+    }
+    throw createError('Invalid refresh token', 401);
+  }
+
+  const nextSecret = generateSecret();
+
+  // Only one concurrent refresh can win the swap
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hash },
+    {
+      refreshTokenHash: hashToken(nextSecret),
+      previousTokenHash: hash,
+      ip: req.ip,
+      lastUsedAt: Date.now()
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    throw createError('Invalid refresh token', 401);
+  }
+
+  return { session: rotated, refreshToken: `${rotated._id}.${nextSecret}` };
+};
+
+/**
+ * Checks that the session behind an access token is still active
+ * @param {string} sessionId - Session ID from the token
+ * @param {string} userId - User ID from the token
+ * @returns {Promise<boolean>} True if the session can be used
+ */
+export const isSessionActive = async (sessionId, userId) => Boolean(
+  await Session.exists({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+);
+
+/**
+ * Revokes one of a user's sessions
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - Owner of the session
+ * @param {string} reason - Why the session ended
+ * @returns {Promise<Object|null>} Revoked session, or null if none was active
+ */
+export const revokeSession = (sessionId, userId, reason = 'logout') => Session.findOneAndUpdate(
+  { _id: sessionId, user: userId, revokedAt: null },
+  { revokedAt: Date.now(), revokedReason: reason },
+  { new: true }
+);
+
+/**
+ * Revokes all active sessions of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Why the sessions ended
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export const revokeUserSessions = async (userId, reason) => {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: Date.now(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Sets the team a session's access tokens act in
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - Owner of the session
+ * @param {string} teamId - Team ID or 'personal'
+ * @returns {Promise<Object|null>} Updated session, or null if none was active
+ */
+export const setSessionTeam = (sessionId, userId, teamId) => Session.findOneAndUpdate(
+  { _id: sessionId, user: userId, revokedAt: null },
+  { activeTeam: teamId },
+  { new: true }
+);
+
+/**
+ * Lists a user's active sessions, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Sessions
+ */
+export const getActiveSessions = (userId) => Session.find({
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+}).sort('-lastUsedAt');
@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Team from '../models/Team.js';
+import createError from '../utils/errorResponse.js';
+import { SHARE_PERMISSIONS } from '../utils/access.js';
+
+/**
+ * Builds the condition matching users who can work in a tenant: its business
+ * account and staff, and members of its teams. Individual accounts share the
+ * null tenant (see services/tenancy.js).
+ * @param {string|null} tenant - Business account ID
+ * @returns {Promise<Object>} MongoDB condition on User
+ */
+const tenantUsersCondition = async (tenant) => {
+  if (!tenant) {
+    return { userType: { $ne: 'business' }, parentBusinessId: null };
+  }
+
+  const teams = await Team.find({ $or: [{ businessId: tenant }, { businessId: null, owner: tenant }] })
+    .select('members.user');
+  const memberIds = teams.flatMap(team => team.members.map(member => member.user).filter(Boolean));
+
+  return { $or: [{ _id: tenant }, { parentBusinessId: tenant }, { _id: { $in: memberIds } }] };
+};
+
+/**
+ * Resolves share targets from user emails and team IDs
+ * Only users and teams of the resource's tenant can be granted access, and
+ * the error doesn't say which targets were missing, so sharing can't be used
+ * to find out which emails have an account.
+ * @param {Object} options - { emails, teamIds, tenant }
+ * @returns {Promise<Array<Object>>} [{ user }] and [{ team }] grantees
+ */
+const resolveGrantees = async ({ emails = [], teamIds = [], tenant }) => {
+  if (!Array.isArray(emails) || !Array.isArray(teamIds) ||
+    ![...emails, ...teamIds].every(value => typeof value === 'string')) {
+    throw createError('emails and teamIds must be lists of strings', 400);
+  }
+
+  const uniqueEmails = [...new Set(emails.map(email => email.trim().toLowerCase()).filter(Boolean))];
+  const uniqueTeamIds = [...new Set(teamIds)];
+
+  if (uniqueEmails.length === 0 && uniqueTeamIds.length === 0) {
+    throw createError('Please provide emails or teamIds to share with', 400);
+  }
+  if (!uniqueTeamIds.every(id => mongoose.isValidObjectId(id))) {
+    throw createError('One or more users or teams not found in this business', 404);
+  }
+
+  // Stored emails keep the case they were registered with
+  const users = uniqueEmails.length === 0 ? [] : await User.find({
+    email: { $in: uniqueEmails },
+    ...(await tenantUsersCondition(tenant))
+  }).collation({ locale: 'en', strength: 2 }).select('_id email');
+  const teams = await Team.find({ _id: { $in: uniqueTeamIds }, businessId: tenant ?? null }).select('_id');
+
+  const foundEmails = new Set(users.map(user => user.email.toLowerCase()));
+  if (!uniqueEmails.every(email => foundEmails.has(email)) || teams.length !== uniqueTeamIds.length) {
+    throw createError('One or more users or teams not found in this business', 404);
+  }
+
+  return [
+    ...users.map(user => ({ user: user._id })),
+    ...teams.map(team => ({ team: team._id }))
+  ];
+};
+
+/**
+ * Grants access to a document or model, replacing existing grants for the same targets
+ * @param {Object} resource - Document or AIModel
+ * @param {Object} options - { emails, teamIds, permission, sharedBy }
+ * @returns {Promise<Object>} Saved resource
+ */
+export const shareResource = async (resource, { emails, teamIds, permission = 'read', sharedBy }) => {
+  if (!SHARE_PERMISSIONS.includes(permission)) {
+    throw createError(`Permission must be one of: ${SHARE_PERMISSIONS.join(', ')}`, 400);
+  }
+
+  const grantees = await resolveGrantees({ emails, teamIds, tenant: resource.tenant });
+
+  for (const grantee of grantees) {
+    const existing = resource.sharedWith.find(grant => (
+      (grantee.user && grant.user?.toString() === grantee.user.toString()) ||
+      (grantee.team && grant.team?.toString() === grantee.team.toString())
+    ));
+
+    if (existing) {
+      existing.permission = permission;
+      existing.sharedBy = sharedBy;
+      existing.sharedAt = Date.now();
+    } else {
+      resource.sharedWith.push({ ...grantee, permission, sharedBy });
+    }
+  }
+
+  return resource.save();
+};
+
+/**
+ * Removes the grant for a user or team
+ * @param {Object} resource - Document or AIModel
+ * @param {string} granteeId - User or team ID
+ * @returns {Promise<Object>} Saved resource
+ */
+export const unshareResource = async (resource, granteeId) => {
+  const index = resource.sharedWith.findIndex(grant => (
+    grant.user?.toString() === granteeId || grant.team?.toString() === granteeId
+  ));
+
+  if (index === -1) {
+    throw createError('Not shared with this user or team', 404);
+  }
+
+  resource.sharedWith.splice(index, 1);
+  return resource.save();
+};
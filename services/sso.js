@@ -0,0 +1,265 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import User from '../models/User.js';
+import Team from '../models/Team.js';
+import SsoConnection from '../models/SsoConnection.js';
+import SsoLogin from '../models/SsoLogin.js';
+import createError from '../utils/errorResponse.js';
+import {
+  discoverIssuer,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  verifyIdToken
+} from './oidc.js';
+
+const LOGIN_TIMEOUT_MS = 10 * 60 * 1000;
+const LOGIN_CODE_TTL_MS = 2 * 60 * 1000;
+
+const hashValue = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+const randomValue = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Callback URL registered with identity providers
+ * @returns {string} Redirect URI
+ */
+export const getRedirectUri = () => (
+  process.env.SSO_REDIRECT_URI || `http://localhost:${process.env.PORT || 5000}/api/auth/sso/callback`
+);
+
+/**
+ * Starts an SSO login: stores the PKCE verifier and nonce, and returns the
+ * provider URL to send the user to
+ * @param {Object} connection - Enabled SSO connection
+ * @param {Object} options - { loginHint }
+ * @returns {Promise<string>} Authorization URL
+ */
+export const startSsoLogin = async (connection, { loginHint } = {}) => {
+  const metadata = await discoverIssuer(connection.issuer);
+  const { codeVerifier, codeChallenge } = createPkcePair();
+  const state = randomValue();
+  const nonce = randomValue();
+
+  await SsoLogin.create({
+    connection: connection._id,
+    stateHash: hashValue(state),
+    codeVerifier,
+    nonce,
+    expiresAt: new Date(Date.now() + LOGIN_TIMEOUT_MS)
+  });
+
+  return buildAuthorizationUrl(metadata, {
+    clientId: connection.clientId,
+    redirectUri: getRedirectUri(),
+    scopes: connection.scopes,
+    state,
+    nonce,
+    codeChallenge,
+    loginHint
+  });
+};
+
+/**
+ * Looks up a domain's TXT records and marks it verified if one has the value
+ * from connection.domainVerifications
+ * @param {Object} connection - SSO connection
+ * @param {string} domain - Allowed domain
+ * @returns {Promise<Object>} Connection
+ */
+export const verifySsoDomain = async (connection, domain) => {
+  domain = String(domain).trim().toLowerCase();
+
+  if (!connection.allowedDomains.includes(domain)) {
+    throw createError(`Domain ${domain} is not allowed for this connection`, 404);
+  }
+
+  // Connections saved before verification existed get their records here
+  let entry = connection.domainVerifications.find(item => item.domain === domain);
+  if (!entry) {
+    await connection.save();
+    entry = connection.domainVerifications.find(item => item.domain === domain);
+  }
+  if (entry.verifiedAt) {
+    return connection;
+  }
+
+  const records = await dns.promises.resolveTxt(domain).catch(() => []);
+
+  if (!records.some(chunks => chunks.join('') === entry.txtRecord)) {
+    throw createError(`No TXT record found on ${domain} with the value ${entry.txtRecord}. DNS changes can take a while to appear`, 400);
+  }
+
+  entry.verifiedAt = Date.now();
+  await connection.save();
+
+  return connection;
+};
+
+/**
+ * Adds a user to the teams mapped to their email domain
+ * @param {Object} connection - SSO connection
+ * @param {Object} user - User document
+ * @param {string} domain - Email domain
+ */
+const applyTeamMappings = async (connection, user, domain) => {
+  const mappings = connection.teamMappings.filter(mapping => mapping.domain === domain);
+
+  for (const mapping of mappings) {
+    const team = await Team.findById(mapping.team);
+    if (!team) {
+      continue;
+    }
+
+    const isMember = team.members.some(member => member.user?.toString() === user._id.toString());
+    if (!isMember) {
+      team.members.push({ user: user._id, role: mapping.role, inviteStatus: 'accepted' });
+      await team.save();
+    }
+
+    user.isTeamMember = true;
+    if (!user.teamId) {
+      user.teamId = team._id;
+    }
+  }
+};
+
+/**
+ * Finds or creates the user for a verified ID token
+ * Existing accounts are only signed in if they belong to the connection's
+ * business, so SSO can't take over an unrelated account with the same email.
+ * @param {Object} connection - SSO connection
+ * @param {Object} claims - Verified ID token claims
+ * @returns {Promise<Object>} User
+ */
+export const provisionSsoUser = async (connection, claims) => {
+  const email = String(claims.email || '').trim().toLowerCase();
+
+  if (!email) {
+    throw createError('The identity provider did not share an email address', 400);
+  }
+  if (claims.email_verified === false) {
+    throw createError('The identity provider has not verified this email address', 403);
+  }
+
+  const domain = email.split('@')[1];
+  if (!connection.allowedDomains.includes(domain)) {
+    throw createError(`Email domain ${domain} is not allowed for this connection`, 403);
+  }
+  // Only domains the business proved it controls can create accounts or join teams
+  if (!connection.isDomainVerified(domain)) {
+    throw createError(`Email domain ${domain} has not been verified for this connection`, 403);
+  }
+
+  let user = await User.findOne({ ssoConnection: connection._id, ssoSubject: claims.sub }) ||
+    await User.findOne({ email });
+
+  if (user) {
+    const businessId = connection.business.toString();
+    const belongsToBusiness = user._id.toString() === businessId ||
+      user.parentBusinessId?.toString() === businessId;
+
+    if (!belongsToBusiness) {
+      throw createError('An account with this email already exists outside this business', 409);
+    }
+
+    user.ssoConnection = connection._id;
+    user.ssoSubject = claims.sub;
+  } else {
+    const name = claims.name ||
+      [claims.given_name, claims.family_name].filter(Boolean).join(' ') ||
+      email.split('@')[0];
+
+    // Just-in-time account; the random password is never shown, so it can only
+    // be used after a password reset
+    user = new User({
+      name: name.slice(0, 50),
+      email,
+      password: crypto.randomBytes(32).toString('hex'),
+      userType: 'individual',
+      parentBusinessId: connection.business,
+      emailVerified: true,
+      emailVerifiedAt: Date.now(),
+      ssoConnection: connection._id,
+      ssoSubject: claims.sub
+    });
+  }
+
+  await applyTeamMappings(connection, user, domain);
+
+  user.lastActiveAt = Date.now();
+  await user.save();
+
+  return user;
+};
+
+/**
+ * Handles the provider callback: checks state, redeems the code with the
+ * PKCE verifier, verifies the ID token and provisions the user
+ * @param {Object} options - { state, code }
+ * @returns {Promise<string>} One-time login code for exchangeSsoLoginCode
+ */
+export const completeSsoLogin = async ({ state, code }) => {
+  if (!state || !code) {
+    throw createError('Missing state or code', 400);
+  }
+
+  // Claim the login so a state can only be used once
+  const login = await SsoLogin.findOneAndUpdate(
+    { stateHash: hashValue(state), completedAt: null, expiresAt: { $gt: new Date() } },
+    { completedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!login) {
+    throw createError('SSO login expired or already completed. Please start again', 400);
+  }
+
+  const connection = await SsoConnection.findById(login.connection).select('+clientSecret');
+
+  if (!connection || !connection.enabled) {
+    throw createError('SSO connection is not available', 403);
+  }
+
+  const metadata = await discoverIssuer(connection.issuer);
+  const tokens = await exchangeAuthorizationCode(metadata, {
+    code,
+    codeVerifier: login.codeVerifier,
+    clientId: connection.clientId,
+    clientSecret: connection.clientSecret,
+    redirectUri: getRedirectUri()
+  });
+  const claims = await verifyIdToken(metadata, tokens.id_token, {
+    clientId: connection.clientId,
+    nonce: login.nonce
+  });
+
+  const user = await provisionSsoUser(connection, claims);
+
+  const loginCode = randomValue();
+  login.user = user._id;
+  login.loginCodeHash = hashValue(loginCode);
+  login.expiresAt = new Date(Date.now() + LOGIN_CODE_TTL_MS);
+  await login.save();
+
+  return loginCode;
+};
+
+/**
+ * Redeems a one-time login code issued by completeSsoLogin
+ * @param {string} loginCode - Code from the callback redirect
+ * @returns {Promise<Object>} User to start a session for
+ */
+export const exchangeSsoLoginCode = async (loginCode) => {
+  const login = await SsoLogin.findOneAndDelete({
+    loginCodeHash: hashValue(loginCode || ''),
+    expiresAt: { $gt: new Date() }
+  });
+
+  const user = login && await User.findById(login.user);
+
+  if (!user) {
+    throw createError('Invalid or expired login code', 400);
+  }
+
+  return user;
+};
@@ -0,0 +1,291 @@
+import mongoose from 'mongoose';
+import Team from '../models/Team.js';
+import User from '../models/User.js';
+import Document from '../models/Document.js';
+import DocumentChunk from '../models/DocumentChunk.js';
+import AIModel from '../models/AIModel.js';
+import Chat from '../models/Chat.js';
+import ApiKey from '../models/ApiKey.js';
+import SsoConnection from '../models/SsoConnection.js';
+import TeamInvitation from '../models/TeamInvitation.js';
+import createError from '../utils/errorResponse.js';
+import { runWithTenant } from '../utils/tenantContext.js';
+import { getTeamTenantId, getHomeTenantId } from './tenancy.js';
+import { sendEmail } from './email/index.js';
+import { ownershipTransferEmail, memberApiKeysRevokedEmail, clientUrl } from './email/templates.js';
+
+const TRANSFER_DAYS = parseInt(process.env.TEAM_TRANSFER_EXPIRE_DAYS, 10) || 7;
+
+// Team resources follow one rule:
+//   - Documents, models and chats tagged with a team belong to the team.
+//   - When a member leaves or is removed, the team keeps the documents and
+//     models they created; they are handed to the team owner. Their team
+//     chats are private to them, so they are deleted. Their team API keys are
+//     revoked.
+//   - When the team is deleted, everything tagged with it goes back to the
+//     user who holds it, as a personal resource, and shares with the team end.
+//     Resources never leave the team's business: those held by users from
+//     outside it go to the business account instead.
+const TEAM_RESOURCES = [Document, DocumentChunk, AIModel, Chat];
+const HANDED_OVER_RESOURCES = [Document, DocumentChunk, AIModel];
+const SHAREABLE_RESOURCES = [Document, AIModel];
+
+/**
+ * Updates a user's isTeamMember and teamId after their memberships changed
+ * @param {string} userId - User ID
+ */
+export const syncTeamMembership = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    return;
+  }
+
+  const teams = await Team.find({ 'members.user': userId }).select('_id');
+  const stillInTeam = teams.some(team => team._id.toString() === user.teamId?.toString());
+
+  user.isTeamMember = teams.length > 0;
+  if (!stillInTeam) {
+    user.teamId = teams[0]?._id;
+  }
+  await user.save({ validateBeforeSave: false });
+};
+
+/**
+ * Checks whether a user owns or belongs to a team
+ * @param {string} teamId - Team ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if the user is in the team
+ */
+export const isMemberOfTeam = async (teamId, userId) => mongoose.isValidObjectId(teamId) && Boolean(
+  await Team.exists({
+    _id: teamId,
+    $or: [{ owner: userId }, { 'members.user': userId }]
+  })
+);
+
+/**
+ * Revokes the team API keys a departing member created and tells the owner
+ * The member still holds the secrets, so the keys can't stay in use.
+ * @param {Object} team - Team document
+ * @param {string} userId - Departing member
+ * @param {string} revokedBy - User removing them, or the member when they leave
+ */
+const revokeMemberApiKeys = async (team, userId, revokedBy) => {
+  const keys = await ApiKey.find({ team: team._id, user: userId, revokedAt: null }).select('name prefix');
+  if (keys.length === 0) {
+    return;
+  }
+
+  await ApiKey.updateMany(
+    { _id: { $in: keys.map(key => key._id) } },
+    { revokedAt: Date.now(), revokedBy }
+  );
+
+  const [owner, member] = await Promise.all([User.findById(team.owner), User.findById(userId)]);
+  if (!owner) {
+    return;
+  }
+
+  // The member is already gone, so a failed notice must not fail the removal
+  sendEmail({
+    to: owner.email,
+    ...memberApiKeysRevokedEmail({
+      name: owner.name,
+      memberName: member?.name || 'A former member',
+      teamName: team.name,
+      keys,
+      teamUrl: clientUrl(`/teams/${team._id}`)
+    })
+  }).catch(err => console.error('API key revocation email error:', err.message));
+};
+
+/**
+ * Removes a member from a team, hands their team documents and models to the
+ * owner, deletes their team chats and revokes their team API keys
+ * @param {Object} team - Team document
+ * @param {string} userId - Member to remove
+ * @param {string} removedBy - User removing them; defaults to the member leaving
+ * @returns {Promise<Object>} Team
+ */
+export const removeMember = async (team, userId, removedBy = userId) => {
+  if (team.owner.toString() === userId.toString()) {
+    throw createError('Team owner cannot be removed', 400);
+  }
+
+  const memberIndex = team.members.findIndex(member => member.user?.toString() === userId.toString());
+  if (memberIndex === -1) {
+    throw createError('User is not a team member', 404);
+  }
+
+  team.members.splice(memberIndex, 1);
+  if (team.pendingTransfer?.to?.toString() === userId.toString()) {
+    team.pendingTransfer = undefined;
+  }
+  await team.save();
+
+  await runWithTenant(getTeamTenantId(team), () => Promise.all([
+    ...HANDED_OVER_RESOURCES.map(Model =>
+      Model.updateMany({ team: team._id, user: userId }, { user: team.owner })
+    ),
+    Chat.deleteMany({ team: team._id, user: userId })
+  ]));
+
+  await revokeMemberApiKeys(team, userId, removedBy);
+
+  await syncTeamMembership(userId);
+
+  return team;
+};
+
+/**
+ * Deletes a team, returning its resources to their holders and ending
+ * everything else that pointed at it
+ * @param {Object} team - Team document
+ * @param {string} userId - Owner deleting the team
+ */
+export const dissolveTeam = async (team, userId) => {
+  const memberIds = team.members.map(member => member.user).filter(Boolean);
+  const tenantId = getTeamTenantId(team);
+
+  // Resources are moved in the team's tenant, whatever the owner's active one is
+  await runWithTenant(tenantId, async () => {
+    const holderIds = new Set();
+    for (const Model of TEAM_RESOURCES) {
+      (await Model.distinct('user', { team: team._id })).forEach(id => holderIds.add(id.toString()));
+    }
+
+    // Holders whose account is gone count as outsiders too
+    const holders = await User.find({ _id: { $in: [...holderIds] } }).select('userType parentBusinessId');
+    const insiders = new Set(holders
+      .filter(holder => String(getHomeTenantId(holder)) === String(tenantId))
+      .map(holder => holder._id.toString()));
+    const outsiders = [...holderIds].filter(id => !insiders.has(id));
+
+    if (outsiders.length > 0) {
+      await Promise.all(TEAM_RESOURCES.map(Model =>
+        Model.updateMany({ team: team._id, user: { $in: outsiders } }, { user: tenantId })
+      ));
+    }
+
+    await Promise.all([
+      ...TEAM_RESOURCES.map(Model => Model.updateMany({ team: team._id }, { $unset: { team: 1 } })),
+      ...SHAREABLE_RESOURCES.map(Model => Model.updateMany(
+        { 'sharedWith.team': team._id },
+        { $pull: { sharedWith: { team: team._id } } }
+      ))
+    ]);
+  });
+
+  await Promise.all([
+    ApiKey.updateMany(
+      { team: team._id, revokedAt: null },
+      { revokedAt: Date.now(), revokedBy: userId }
+    ),
+    TeamInvitation.updateMany(
+      { team: team._id, status: 'pending' },
+      { status: 'revoked', respondedBy: userId, respondedAt: Date.now() }
+    ),
+    SsoConnection.updateMany(
+      { 'teamMappings.team': team._id },
+      { $pull: { teamMappings: { team: team._id } } }
+    )
+  ]);
+
+  await team.deleteOne();
+
+  await Promise.all(memberIds.map(memberId => syncTeamMembership(memberId)));
+};
+
+/**
+ * Whether a team has an ownership transfer waiting for confirmation
+ * @param {Object} team - Team document
+ * @returns {boolean} True if pending and not expired
+ */
+export const hasPendingTransfer = (team) => Boolean(
+  team.pendingTransfer?.to && team.pendingTransfer.expiresAt > Date.now()
+);
+
+/**
+ * Starts handing a team to another member, who has to confirm
+ * @param {Object} team - Team document
+ * @param {Object} owner - Current owner
+ * @param {string} userId - Member who should become the owner
+ * @returns {Promise<Object>} Team
+ */
+export const requestOwnershipTransfer = async (team, owner, userId) => {
+  if (team.owner.toString() === userId) {
+    throw createError('You already own this team', 400);
+  }
+
+  const isMember = team.members.some(member => member.user?.toString() === userId);
+  const newOwner = isMember && await User.findById(userId);
+
+  if (!newOwner) {
+    throw createError('Ownership can only be transferred to a team member', 400);
+  }
+
+  team.pendingTransfer = {
+    to: newOwner._id,
+    requestedAt: Date.now(),
+    expiresAt: new Date(Date.now() + TRANSFER_DAYS * 24 * 60 * 60 * 1000)
+  };
+  await team.save();
+
+  await sendEmail({
+    to: newOwner.email,
+    ...ownershipTransferEmail({
+      name: newOwner.name,
+      ownerName: owner.name,
+      teamName: team.name,
+      teamUrl: clientUrl(`/teams/${team._id}`),
+      expiresInDays: TRANSFER_DAYS
+    })
+  });
+
+  return team;
+};
+
+/**
+ * Completes a pending transfer; the previous owner stays on as an admin
+ * @param {Object} team - Team document
+ * @param {string} userId - User confirming, must be the pending owner
+ * @returns {Promise<Object>} Team
+ */
+export const confirmOwnershipTransfer = async (team, userId) => {
+  if (!hasPendingTransfer(team) || team.pendingTransfer.to.toString() !== userId) {
+    throw createError('No ownership transfer is waiting for you on this team', 400);
+  }
+
+  const previousOwner = team.owner;
+  const previousOwnerMember = team.members.find(member => member.user?.toString() === previousOwner.toString());
+
+  if (previousOwnerMember) {
+    previousOwnerMember.role = 'admin';
+  } else {
+    team.members.push({ user: previousOwner, role: 'admin' });
+  }
+
+  // Like at creation, the owner's member entry uses the highest member role
+  team.members.find(member => member.user?.toString() === userId).role = 'admin';
+  team.owner = userId;
+  team.pendingTransfer = undefined;
+  await team.save();
+
+  return team;
+};
+
+/**
+ * Ends a pending transfer without changing the owner
+ * @param {Object} team - Team document
+ * @returns {Promise<Object>} Team
+ */
+export const clearOwnershipTransfer = async (team) => {
+  if (!team.pendingTransfer?.to) {
+    throw createError('No ownership transfer is pending', 400);
+  }
+
+  team.pendingTransfer = undefined;
+  await team.save();
+
+  return team;
+};
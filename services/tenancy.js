@@ -0,0 +1,41 @@
+import Team from '../models/Team.js';
+
+// A tenant is a business account: documents, models, chats and their derived
+// data belong to exactly one. Individual accounts share the null tenant, so
+// they never see business data and businesses never see theirs.
+
+/**
+ * Returns the tenant of a team
+ * @param {Object} team - Team document
+ * @returns {string} Business account ID
+ */
+export const getTeamTenantId = (team) => team.businessId || team.owner;
+
+/**
+ * Returns the tenant a user works in outside any team: their own business
+ * account, the business they belong to, or null for individual accounts
+ * @param {Object} user - User document
+ * @returns {string|null} Business account ID
+ */
+export const getHomeTenantId = (user) => {
+  if (user.userType === 'business' && !user.parentBusinessId) {
+    return user._id;
+  }
+  return user.parentBusinessId || null;
+};
+
+/**
+ * Returns the tenant a request works in: the business of the active team, or
+ * the user's home tenant
+ * @param {Object} user - Authenticated user with activeTeamId resolved
+ * @returns {Promise<string|null>} Business account ID
+ */
+export const resolveTenantId = async (user) => {
+  if (user.activeTeamId) {
+    const team = await Team.findById(user.activeTeamId).select('businessId owner');
+    if (team) {
+      return getTeamTenantId(team);
+    }
+  }
+  return getHomeTenantId(user);
+};
@@ -0,0 +1,43 @@
+import createMemoryStore from './memory.js';
+import createMongoStore from './mongo.js';
+import createError from '../../utils/errorResponse.js';
+
+// Factories keyed by the THROTTLE_STORE setting
+const stores = {
+  memory: () => createMemoryStore(),
+  mongo: () => createMongoStore()
+};
+
+let activeStore = null;
+
+/**
+ * Registers an additional throttle store factory
+ * @param {string} name - Store name used in THROTTLE_STORE
+ * @param {Function} factory - Returns an object with { name, get, increment, lock, reset }
+ */
+export const registerThrottleStore = (name, factory) => {
+  stores[name] = factory;
+};
+
+/**
+ * Overrides the active throttle store (useful in tests)
+ * @param {Object|null} store - Store instance, or null to reset
+ */
+export const setThrottleStore = (store) => {
+  activeStore = store;
+};
+
+/**
+ * Returns the configured throttle store
+ * @returns {Object} Store with { name, get, increment, lock, reset }
+ */
+export const getThrottleStore = () => {
+  if (!activeStore) {
+    const name = process.env.THROTTLE_STORE || 'memory';
+    if (!stores[name]) {
+      throw createError(`Unknown throttle store: ${name}`, 500);
+    }
+    activeStore = stores[name]();
+  }
+  return activeStore;
+};
@@ -0,0 +1,73 @@
+const PRUNE_INTERVAL = 1000;
+
+/**
+ * Creates a throttle store that keeps counters in process memory
+ * Counters are not shared between server instances; use the mongo store when
+ * running more than one
+ * @returns {Object} Throttle store
+ */
+const createMemoryStore = () => {
+  const entries = new Map();
+  let writes = 0;
+
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Drop expired entries now and then so the map doesn't grow without bound
+  const prune = () => {
+    if (++writes % PRUNE_INTERVAL !== 0) {
+      return;
+    }
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    }
+  };
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = read(key);
+      return entry && { ...entry };
+    },
+
+    async increment(key, ttlMs) {
+      const now = Date.now();
+      const entry = read(key) || { count: 0 };
+
+      entry.count += 1;
+      entry.lastAttemptAt = new Date(now);
+      entry.expiresAt = new Date(Math.max(now + ttlMs, entry.lockedUntil?.getTime() || 0));
+      entries.set(key, entry);
+      prune();
+
+      return { ...entry };
+    },
+
+    async lock(key, until) {
+      const entry = read(key) || { count: 0 };
+
+      entry.lockedUntil = until;
+      entry.expiresAt = new Date(Math.max(until.getTime(), entry.expiresAt?.getTime() || 0));
+      entries.set(key, entry);
+      prune();
+
+      return { ...entry };
+    },
+
+    async reset(key) {
+      entries.delete(key);
+    }
+  };
+};
+
+export default createMemoryStore;
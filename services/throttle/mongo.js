@@ -0,0 +1,65 @@
+import RateLimit from '../../models/RateLimit.js';
+
+/**
+ * Creates a throttle store backed by the RateLimit collection, so counters
+ * and lockouts apply across all server instances
+ * @returns {Object} Throttle store
+ */
+const createMongoStore = () => {
+  // The TTL monitor only runs about once a minute, so expired entries are cleared on write
+  const clearExpired = (key) => RateLimit.deleteOne({ key, expiresAt: { $lte: new Date() } });
+
+  /**
+   * Runs an upsert, retrying once if a concurrent request inserted the same
+   * key first; the retry then updates that entry
+   * @param {string} key - Throttle key
+   * @param {Object} update - Update document
+   * @returns {Promise<Object>} Updated entry
+   */
+  const upsert = async (key, update) => {
+    const run = () => RateLimit.findOneAndUpdate({ key }, update, { upsert: true, new: true, lean: true });
+
+    try {
+      return await run();
+    } catch (err) {
+      if (err.code !== 11000) {
+        throw err;
+      }
+      return run();
+    }
+  };
+
+  return {
+    name: 'mongo',
+
+    async get(key) {
+      return RateLimit.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    },
+
+    async increment(key, ttlMs) {
+      const now = Date.now();
+      await clearExpired(key);
+
+      return upsert(key, {
+        $inc: { count: 1 },
+        $set: { lastAttemptAt: new Date(now) },
+        $max: { expiresAt: new Date(now + ttlMs) }
+      });
+    },
+
+    async lock(key, until) {
+      await clearExpired(key);
+
+      return upsert(key, {
+        $set: { lockedUntil: until },
+        $max: { expiresAt: until }
+      });
+    },
+
+    async reset(key) {
+      await RateLimit.deleteOne({ key });
+    }
+  };
+};
+
+export default createMongoStore;
@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Team from '../models/Team.js';
+import createError from '../utils/errorResponse.js';
+import { verifyTotp } from '../utils/totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE = '2fa_challenge';
+
+/**
+ * Hashes a recovery code for storage, ignoring case and dashes
+ * @param {string} code - Recovery code
+ * @returns {string} sha256 hex digest
+ */
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+  .digest('hex');
+
+/**
+ * Generates a fresh set of one-time recovery codes
+ * @returns {Object} { codes, hashes } - plain codes to show once, hashes to store
+ */
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Checks a TOTP or recovery code for a user with 2FA enabled
+ * A TOTP code can't be replayed within its validity window and a recovery
+ * code is removed once used. The user is saved when either is accepted.
+ * @param {Object} user - User with twoFactorSecret, twoFactorRecoveryCodes and twoFactorLastUsedStep selected
+ * @param {Object} options - { code, recoveryCode }
+ * @returns {Promise<string>} 'totp' or 'recovery_code'
+ */
+export const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const index = user.twoFactorRecoveryCodes.indexOf(hash);
+
+    if (index === -1) {
+      throw createError('Invalid recovery code', 401);
+    }
+
+    user.twoFactorRecoveryCodes.splice(index, 1);
+    await user.save({ validateBeforeSave: false });
+    return 'recovery_code';
+  }
+
+  if (!code) {
+    throw createError('Please provide an authentication code or recovery code', 400);
+  }
+
+  const step = verifyTotp(user.twoFactorSecret, code);
+
+  if (step === null || step <= (user.twoFactorLastUsedStep || 0)) {
+    throw createError('Invalid authentication code', 401);
+  }
+
+  user.twoFactorLastUsedStep = step;
+  await user.save({ validateBeforeSave: false });
+  return 'totp';
+};
+
+/**
+ * Signs the short-lived token returned by the first login step
+ * It only identifies the user to the second step and is rejected by `protect`
+ * @param {Object} user - User who passed the password check
+ * @returns {string} Challenge token
+ */
+export const createChallengeToken = (user) => jwt.sign(
+  { id: user._id, purpose: CHALLENGE_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m' }
+);
+
+/**
+ * Verifies a login challenge token
+ * @param {string} token - Challenge token
+ * @returns {string} User ID
+ */
+export const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token || '', process.env.JWT_SECRET);
+    if (decoded.purpose !== CHALLENGE_PURPOSE) {
+      throw new Error('Wrong token purpose');
+    }
+    return decoded.id;
+  } catch (err) {
+    throw createError('Invalid or expired challenge token', 401);
+  }
+};
+
+/**
+ * Checks whether any team the user belongs to requires two-factor authentication
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if 2FA is mandatory for the user
+ */
+export const isTwoFactorRequiredByTeam = async (userId) => Boolean(
+  await Team.exists({
+    requireTwoFactor: true,
+    $or: [{ owner: userId }, { 'members.user': userId }]
+  })
+);
@@ -0,0 +1,48 @@
+import { sendEmail } from './email/index.js';
+import { emailVerificationEmail, clientUrl } from './email/templates.js';
+
+// Actions blocked until the user's email is verified
+export const VERIFIABLE_ACTIONS = ['team_create', 'subscribe', 'api_key'];
+
+/**
+ * Reads the verification policy from EMAIL_VERIFICATION_REQUIRED_FOR, a
+ * comma-separated list of actions; 'all' (default) or 'none' are shorthands
+ * @returns {Array<string>} Actions that require a verified email
+ */
+export const getVerificationPolicy = () => {
+  const setting = (process.env.EMAIL_VERIFICATION_REQUIRED_FOR || 'all').trim();
+
+  if (setting === 'all') {
+    return VERIFIABLE_ACTIONS;
+  }
+  if (setting === 'none') {
+    return [];
+  }
+  return setting.split(',').map(action => action.trim()).filter(Boolean);
+};
+
+/**
+ * Checks whether an action requires a verified email
+ * @param {string} action - One of VERIFIABLE_ACTIONS
+ * @returns {boolean} True if unverified users are blocked
+ */
+export const isVerificationRequired = (action) => getVerificationPolicy().includes(action);
+
+/**
+ * Issues a new verification token for a user and emails it
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Transport result
+ */
+export const sendVerificationEmail = async (user) => {
+  const verificationToken = user.getEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  return sendEmail({
+    to: user.email,
+    ...emailVerificationEmail({
+      name: user.name,
+      verifyUrl: clientUrl(`/verify-email/${verificationToken}`),
+      expiresInHours: Math.round((user.emailVerificationExpire - Date.now()) / 3600000)
+    })
+  });
+};
@@ -0,0 +1,71 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { startTestServer, request } from './helpers/server.js';
+import { createAccount } from './helpers/accounts.js';
+
+const server = await startTestServer();
+
+/**
+ * Posts a multipart upload whose file part arrives after a pause, so multer
+ * finishes parsing well after protect has run
+ */
+const uploadSlowly = ({ token, title, fileName, mimeType, content, delayMs = 300 }) => new Promise((resolve, reject) => {
+  const boundary = 'test-boundary';
+  const head = [
+    `--${boundary}`,
+    'Content-Disposition: form-data; name="title"',
+    '',
+    title,
+    `--${boundary}`,
+    `Content-Disposition: form-data; name="document"; filename="${fileName}"`,
+    `Content-Type: ${mimeType}`,
+    '',
+    ''
+  ].join('\r\n');
+  const tail = `${content}\r\n--${boundary}--\r\n`;
+
+  const url = new URL('/api/documents', server.baseUrl);
+  const req = http.request(url, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'Content-Type': `multipart/form-data; boundary=${boundary}`,
+      'Content-Length': Buffer.byteLength(head) + Buffer.byteLength(tail)
+    }
+  }, (res) => {
+    let body = '';
+    res.on('data', chunk => { body += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+  });
+
+  req.on('error', reject);
+  req.write(head);
+  setTimeout(() => req.end(tail), delayMs);
+});
+
+describe('document upload', { skip: server.skip }, () => {
+  let business;
+
+  before(async () => {
+    business = await createAccount({ userType: 'business' });
+  });
+
+  after(() => server.stop());
+
+  it('keeps the tenant context when the body arrives after authentication', async () => {
+    const { status, body } = await uploadSlowly({
+      token: business.token,
+      title: 'Slow upload',
+      fileName: 'notes.txt',
+      mimeType: 'text/plain',
+      content: 'Uploaded over a slow connection'
+    });
+
+    assert.equal(status, 201, body.error);
+    assert.equal(body.data.tenant, business.user.id);
+
+    const fetched = await request(server.baseUrl, 'GET', `/api/documents/${body.data._id}`, { token: business.token });
+    assert.equal(fetched.status, 200);
+  });
+});
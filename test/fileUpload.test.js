@@ -0,0 +1,59 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { resolveFileType, verifyFileSignature } from '../utils/fileUpload.js';
+
+describe('resolveFileType', () => {
+  it('resolves generic MIME types from the extension', () => {
+    assert.equal(resolveFileType('text/plain', 'notes.md'), 'text/markdown');
+    assert.equal(resolveFileType('text/plain', 'data.csv'), 'text/csv');
+    assert.equal(resolveFileType('application/octet-stream', 'notes.markdown'), 'text/markdown');
+    assert.equal(resolveFileType('application/octet-stream', 'report.pdf'), 'application/pdf');
+    assert.equal(resolveFileType('', 'notes.txt'), 'text/plain');
+  });
+
+  it('rejects generic MIME types with an unsupported extension', () => {
+    assert.equal(resolveFileType('application/octet-stream', 'script.exe'), null);
+    assert.equal(resolveFileType('text/plain', 'notes'), null);
+  });
+
+  it('still requires specific MIME types to match the extension', () => {
+    assert.equal(resolveFileType('text/x-markdown', 'notes.md'), 'text/markdown');
+    assert.equal(resolveFileType('application/pdf', 'notes.md'), null);
+    assert.equal(resolveFileType('text/html', 'data.csv'), null);
+  });
+});
+
+describe('verifyFileSignature', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'file-upload-test-'));
+  });
+
+  after(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  const writeFile = async (name, content) => {
+    const filePath = path.join(dir, name);
+    await fs.promises.writeFile(filePath, content);
+    return filePath;
+  };
+
+  it('accepts text contents for a Markdown file sent as octet-stream', async () => {
+    const filePath = await writeFile('notes.md', '# Notes\n\nSome text');
+    const type = resolveFileType('application/octet-stream', 'notes.md');
+
+    assert.equal(await verifyFileSignature(filePath, type), true);
+  });
+
+  it('rejects binary contents behind a text extension', async () => {
+    const filePath = await writeFile('data.csv', Buffer.from([0x4d, 0x5a, 0x00, 0x01, 0x02]));
+    const type = resolveFileType('application/octet-stream', 'data.csv');
+
+    assert.equal(await verifyFileSignature(filePath, type), false);
+  });
+});
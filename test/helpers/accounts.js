@@ -0,0 +1,24 @@
+import crypto from 'crypto';
+import User from '../../models/User.js';
+import { createSession } from '../../services/sessions.js';
+
+/**
+ * Creates a verified user with an active session
+ * @param {Object} fields - User fields, e.g. { userType: 'business' } or { parentBusinessId }
+ * @returns {Promise<Object>} { user, token } - token is an access token for the session
+ */
+export const createAccount = async (fields = {}) => {
+  const suffix = crypto.randomBytes(4).toString('hex');
+
+  const user = await User.create({
+    name: `User ${suffix}`,
+    email: `user${suffix}@example.com`,
+    password: 'password123',
+    emailVerified: true,
+    ...fields
+  });
+
+  const { session } = await createSession(user, { headers: {}, ip: '127.0.0.1' });
+
+  return { user, token: user.getSignedJwtToken(session._id) };
+};
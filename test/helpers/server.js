@@ -0,0 +1,71 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+// Settings the app reads when its modules load, so they are set before app.js is imported
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.LLM_PROVIDER = 'echo';
+process.env.EMAIL_TRANSPORT = 'console';
+process.env.FILE_UPLOAD_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+
+/**
+ * Starts the app on a random port against an in-memory MongoDB
+ * mongodb-memory-server downloads a mongod binary on first use (or uses
+ * MONGOMS_SYSTEM_BINARY); where neither works the suites are skipped, unless
+ * REQUIRE_MONGODB is set, as it should be in CI. The tenant plugin itself is
+ * covered without a database by tenantScope.test.js.
+ * @returns {Promise<Object>} { baseUrl, stop } or { skip } with the reason
+ */
+export const startTestServer = async () => {
+  let mongo;
+  try {
+    mongo = await MongoMemoryServer.create();
+  } catch (err) {
+    if (process.env.REQUIRE_MONGODB) {
+      throw err;
+    }
+    return { skip: `MongoDB is not available: ${err.message}` };
+  }
+
+  await mongoose.connect(mongo.getUri());
+
+  const { default: app } = await import('../../app.js');
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    stop: async () => {
+      server.close();
+      await mongoose.disconnect();
+      await mongo.stop();
+      fs.rmSync(process.env.FILE_UPLOAD_PATH, { recursive: true, force: true });
+    }
+  };
+};
+
+/**
+ * Sends a JSON request to the test server
+ * @param {string} baseUrl - Server URL
+ * @param {string} method - HTTP method
+ * @param {string} urlPath - Path, e.g. /api/documents
+ * @param {Object} options - { token, body, headers }
+ * @returns {Promise<Object>} { status, body }
+ */
+export const request = async (baseUrl, method, urlPath, { token, body, headers = {} } = {}) => {
+  const response = await fetch(`${baseUrl}${urlPath}`, {
+    method,
+    headers: {
+      ...(body !== undefined && !(body instanceof FormData) ? { 'Content-Type': 'application/json' } : {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...headers
+    },
+    body: body === undefined || body instanceof FormData ? body : JSON.stringify(body)
+  });
+
+  return { status: response.status, body: await response.json().catch(() => null) };
+};
@@ -0,0 +1,40 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkProviderUrl } from '../services/oidc.js';
+
+describe('checkProviderUrl', () => {
+  afterEach(() => {
+    delete process.env.SSO_ALLOW_INSECURE_ISSUERS;
+  });
+
+  it('accepts https on public addresses', async () => {
+    await checkProviderUrl('https://8.8.8.8/.well-known/openid-configuration');
+    await checkProviderUrl('https://[2606:4700::1]/');
+  });
+
+  it('refuses plain http', async () => {
+    await assert.rejects(checkProviderUrl('http://8.8.8.8'), { statusCode: 400, message: /must use https/ });
+  });
+
+  it('refuses loopback, private and link-local hosts', async () => {
+    for (const url of [
+      'https://localhost',
+      'https://127.0.0.1',
+      'https://10.0.0.5',
+      'https://192.168.1.1',
+      'https://169.254.169.254/latest/meta-data',
+      'https://[::1]',
+      'https://[fd00::1]',
+      'https://[::ffff:127.0.0.1]'
+    ]) {
+      await assert.rejects(checkProviderUrl(url), { statusCode: 400, message: /not a public address/ }, url);
+    }
+  });
+
+  it('allows local http providers when SSO_ALLOW_INSECURE_ISSUERS is set', async () => {
+    process.env.SSO_ALLOW_INSECURE_ISSUERS = 'true';
+
+    await checkProviderUrl('http://localhost:4000');
+    await assert.rejects(checkProviderUrl('file:///etc/passwd'), { statusCode: 400 });
+  });
+});
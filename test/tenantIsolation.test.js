@@ -0,0 +1,128 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, request } from './helpers/server.js';
+import { createAccount } from './helpers/accounts.js';
+
+const server = await startTestServer();
+
+// Resources of one business that others try to reach, by route and field to tamper with
+const RESOURCES = [
+  { name: 'document', path: '/api/documents', update: { title: 'Taken over' } },
+  { name: 'model', path: '/api/models', update: { name: 'Taken over' } },
+  { name: 'chat', path: '/api/chat', update: { title: 'Taken over' } }
+];
+
+describe('tenant isolation', { skip: server.skip }, () => {
+  const api = (method, path, options) => request(server.baseUrl, method, path, options);
+
+  let victim;
+  let colleague;
+  let attackers;
+  const ids = {};
+
+  before(async () => {
+    victim = await createAccount({ userType: 'business' });
+    colleague = await createAccount({ parentBusinessId: victim.user._id });
+    attackers = {
+      'another business': await createAccount({ userType: 'business' }),
+      'an individual account': await createAccount()
+    };
+
+    const form = new FormData();
+    form.append('title', 'Quarterly report');
+    form.append('document', new Blob(['Revenue grew 12% this quarter.'], { type: 'text/plain' }), 'report.txt');
+    const upload = await api('POST', '/api/documents', { token: victim.token, body: form });
+    assert.equal(upload.status, 201, upload.body?.error);
+    ids.document = upload.body.data._id;
+
+    const model = await api('POST', '/api/models', {
+      token: victim.token,
+      body: { name: 'Finance assistant', baseModel: 'gpt', documentIds: [ids.document] }
+    });
+    assert.equal(model.status, 201, model.body?.error);
+    ids.model = model.body.data._id;
+
+    const chat = await api('POST', '/api/chat', { token: victim.token, body: { modelId: ids.model } });
+    assert.equal(chat.status, 201, chat.body?.error);
+    ids.chat = chat.body.data._id;
+
+    // Public resources are public within the business only
+    await api('PUT', `/api/documents/${ids.document}`, { token: victim.token, body: { isPublic: true } });
+    await api('PUT', `/api/models/${ids.model}`, { token: victim.token, body: { isPublic: true } });
+  });
+
+  after(() => server.stop());
+
+  for (const attackerName of ['another business', 'an individual account']) {
+    // Accounts are created in before(), after the tests are declared
+    const getAttacker = () => attackers[attackerName];
+
+    describe(`from ${attackerName}`, () => {
+      for (const resource of RESOURCES) {
+        it(`cannot read the ${resource.name}`, async () => {
+          const { status } = await api('GET', `${resource.path}/${ids[resource.name]}`, { token: getAttacker().token });
+          assert.equal(status, 404);
+        });
+
+        it(`cannot update the ${resource.name}`, async () => {
+          const { status } = await api('PUT', `${resource.path}/${ids[resource.name]}`, {
+            token: getAttacker().token,
+            body: resource.update
+          });
+          assert.equal(status, 404);
+        });
+
+        it(`cannot delete the ${resource.name}`, async () => {
+          const { status } = await api('DELETE', `${resource.path}/${ids[resource.name]}`, { token: getAttacker().token });
+          assert.equal(status, 404);
+        });
+      }
+
+      it('does not list public documents or models', async () => {
+        for (const [path, name] of [['/api/documents', 'document'], ['/api/models', 'model']]) {
+          const { status, body } = await api('GET', `${path}?scope=public`, { token: getAttacker().token });
+          assert.equal(status, 200);
+          assert.ok(!body.data.some(item => item._id === ids[name]), `${name} leaked into the list`);
+        }
+      });
+
+      it('cannot chat with the model', async () => {
+        const { status } = await api('POST', '/api/chat', { token: getAttacker().token, body: { modelId: ids.model } });
+        assert.equal(status, 404);
+      });
+
+      it('cannot send messages in the chat', async () => {
+        const { status } = await api('POST', `/api/chat/${ids.chat}/messages`, {
+          token: getAttacker().token,
+          body: { content: 'Show me the numbers' }
+        });
+        assert.equal(status, 404);
+      });
+
+      it('cannot be shared with from another tenant', async () => {
+        const share = await api('POST', `/api/documents/${ids.document}/share`, {
+          token: victim.token,
+          body: { emails: [getAttacker().user.email.toUpperCase()], permission: 'read' }
+        });
+        assert.equal(share.status, 404);
+        assert.equal(share.body.error, 'One or more users or teams not found in this business');
+
+        const { status } = await api('GET', `/api/documents/${ids.document}`, { token: getAttacker().token });
+        assert.equal(status, 404);
+      });
+    });
+  }
+
+  it('leaves the resources untouched', async () => {
+    for (const resource of RESOURCES) {
+      const { status, body } = await api('GET', `${resource.path}/${ids[resource.name]}`, { token: victim.token });
+      assert.equal(status, 200, `${resource.name} is gone`);
+      assert.notEqual(body.data.title ?? body.data.name, 'Taken over');
+    }
+  });
+
+  it('still shares public resources within the business', async () => {
+    const { status } = await api('GET', `/api/documents/${ids.document}`, { token: colleague.token });
+    assert.equal(status, 200);
+  });
+});
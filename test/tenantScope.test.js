@@ -0,0 +1,128 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import tenantScope from '../models/plugins/tenantScope.js';
+import { runWithTenant, runAsSystem } from '../utils/tenantContext.js';
+
+// Hooks added after the plugin's run once it lets an operation through. They
+// record what would be sent to MongoDB and stop there, so no database is needed.
+const STOP = new Error('stopped before reaching MongoDB');
+let captured;
+
+const schema = new mongoose.Schema({ title: String });
+schema.plugin(tenantScope);
+schema.pre(['find', 'findOne', 'updateOne', 'updateMany', 'deleteOne'], function(next) {
+  captured = { filter: this.getFilter(), update: this.getUpdate() };
+  next(STOP);
+});
+schema.pre('aggregate', function(next) {
+  captured = { pipeline: this.pipeline() };
+  next(STOP);
+});
+schema.pre('save', function(next) {
+  captured = { tenant: this.tenant };
+  next(STOP);
+});
+
+const Scoped = mongoose.model('TenantScopeTest', schema);
+
+const tenantA = new mongoose.Types.ObjectId();
+const tenantB = new mongoose.Types.ObjectId();
+
+/**
+ * Runs an operation and returns what reached MongoDB, or the plugin's error
+ */
+const run = async (operation) => {
+  captured = undefined;
+  try {
+    await operation();
+  } catch (err) {
+    if (err !== STOP) {
+      return { error: err };
+    }
+  }
+  return captured;
+};
+
+describe('tenantScope', () => {
+  it('refuses queries without a tenant context', async () => {
+    const { error } = await run(() => Scoped.find({}));
+
+    assert.equal(error.statusCode, 500);
+    assert.match(error.message, /without a tenant context/);
+  });
+
+  it('refuses aggregations and saves without a tenant context', async () => {
+    assert.equal((await run(() => Scoped.aggregate([{ $match: {} }]))).error.statusCode, 500);
+    assert.equal((await run(() => new Scoped({ title: 'x' }).save())).error.statusCode, 500);
+  });
+
+  it('scopes finds to the current tenant', async () => {
+    const { filter } = await runWithTenant(tenantA, () => run(() => Scoped.find({ title: 'x' })));
+
+    assert.deepEqual(filter, { title: 'x', tenant: tenantA });
+  });
+
+  it('replaces a tenant condition from the caller', async () => {
+    const { filter } = await runWithTenant(tenantA, () => run(() => Scoped.findOne({ tenant: tenantB })));
+
+    assert.deepEqual(filter, { tenant: tenantA });
+  });
+
+  it('scopes individual accounts to the null tenant', async () => {
+    const { filter } = await runWithTenant(null, () => run(() => Scoped.find({})));
+
+    assert.deepEqual(filter, { tenant: null });
+  });
+
+  it('scopes updates and deletes to the current tenant', async () => {
+    const update = await runWithTenant(tenantA, () => run(() => Scoped.updateMany({}, { title: 'y' })));
+    const removal = await runWithTenant(tenantA, () => run(() => Scoped.deleteOne({ title: 'x' })));
+
+    assert.deepEqual(update.filter, { tenant: tenantA });
+    assert.deepEqual(removal.filter, { title: 'x', tenant: tenantA });
+  });
+
+  it('refuses updates that move documents to another tenant', async () => {
+    const direct = await runWithTenant(tenantA, () => run(() => Scoped.updateOne({}, { tenant: tenantB })));
+    const set = await runWithTenant(tenantA, () => run(() => Scoped.updateOne({}, { $set: { tenant: tenantB } })));
+
+    assert.equal(direct.error.statusCode, 403);
+    assert.equal(set.error.statusCode, 403);
+  });
+
+  it('puts a tenant match first in aggregations', async () => {
+    const { pipeline } = await runWithTenant(tenantA, () => run(() => Scoped.aggregate([{ $match: { title: 'x' } }])));
+
+    assert.deepEqual(pipeline[0], { $match: { tenant: tenantA } });
+    assert.deepEqual(pipeline[1], { $match: { title: 'x' } });
+  });
+
+  it('stamps new documents with the current tenant', async () => {
+    const { tenant } = await runWithTenant(tenantA, () => run(() => new Scoped({ title: 'x' }).save()));
+
+    assert.equal(tenant, tenantA);
+  });
+
+  it('refuses to create documents in another tenant', async () => {
+    const { error } = await runWithTenant(tenantA, () => run(() => new Scoped({ title: 'x', tenant: tenantB }).save()));
+
+    assert.equal(error.statusCode, 403);
+  });
+
+  it('lets system work through unscoped', async () => {
+    const { filter } = await runAsSystem(() => run(() => Scoped.find({ title: 'x' })));
+    const { pipeline } = await runAsSystem(() => run(() => Scoped.aggregate([{ $match: { title: 'x' } }])));
+
+    assert.deepEqual(filter, { title: 'x' });
+    assert.equal(pipeline.length, 1);
+  });
+
+  it('requires system work to set the tenant of new documents', async () => {
+    const missing = await runAsSystem(() => run(() => new Scoped({ title: 'x' }).save()));
+    const stamped = await runAsSystem(() => run(() => new Scoped({ title: 'x', tenant: null }).save()));
+
+    assert.match(missing.error.message, /must set tenant/);
+    assert.equal(stamped.tenant, null);
+  });
+});
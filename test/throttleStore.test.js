@@ -0,0 +1,65 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import RateLimit from '../models/RateLimit.js';
+import createMongoStore from '../services/throttle/mongo.js';
+
+// The counter upserts are replaced, so the race can be replayed without a database
+describe('mongo throttle store', () => {
+  const original = {};
+  let calls;
+
+  beforeEach(() => {
+    original.findOneAndUpdate = RateLimit.findOneAndUpdate;
+    original.deleteOne = RateLimit.deleteOne;
+    calls = 0;
+    RateLimit.deleteOne = async () => ({ deletedCount: 0 });
+  });
+
+  afterEach(() => {
+    RateLimit.findOneAndUpdate = original.findOneAndUpdate;
+    RateLimit.deleteOne = original.deleteOne;
+  });
+
+  const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+  it('retries an increment that lost the upsert race', async () => {
+    RateLimit.findOneAndUpdate = async () => {
+      calls++;
+      if (calls === 1) {
+        throw duplicateKeyError();
+      }
+      return { key: 'login:ip:1', count: 2 };
+    };
+
+    const entry = await createMongoStore().increment('login:ip:1', 60000);
+
+    assert.equal(calls, 2);
+    assert.equal(entry.count, 2);
+  });
+
+  it('retries a lock that lost the upsert race', async () => {
+    const until = new Date(Date.now() + 60000);
+    RateLimit.findOneAndUpdate = async () => {
+      calls++;
+      if (calls === 1) {
+        throw duplicateKeyError();
+      }
+      return { key: 'login:account:1', lockedUntil: until };
+    };
+
+    const entry = await createMongoStore().lock('login:account:1', until);
+
+    assert.equal(calls, 2);
+    assert.equal(entry.lockedUntil, until);
+  });
+
+  it('passes on other errors', async () => {
+    RateLimit.findOneAndUpdate = async () => {
+      calls++;
+      throw new Error('connection lost');
+    };
+
+    await assert.rejects(createMongoStore().increment('login:ip:1', 60000), /connection lost/);
+    assert.equal(calls, 1);
+  });
+});
@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+// Access levels on shared resources (documents and AI models), lowest first:
+//   read - view the resource (granted by isPublic or a read share)
+//   use  - read, plus chat with a model or attach a document to your own models
+//   edit - use, plus change it (owner and members of the resource's team)
+// Team access and team shares count for the user's active team only.
+// All of this applies within a tenant: queries never return another
+// business's resources, public or shared (see models/plugins/tenantScope.js).
+const LEVELS = ['read', 'use', 'edit'];
+
+export const SHARE_PERMISSIONS = ['read', 'use'];
+
+/**
+ * Returns the highest access level a user has on a document or model
+ * @param {Object} resource - Document or AIModel with user, team, isPublic and sharedWith
+ * @param {Object} user - Authenticated user
+ * @returns {string|null} 'edit', 'use', 'read' or null
+ */
+export const getAccessLevel = (resource, user) => {
+  const ownerId = resource.user?._id || resource.user;
+  if (ownerId?.toString() === user.id) {
+    return 'edit';
+  }
+  const teamId = user.activeTeamId;
+
+  if (teamId && resource.team?.toString() === teamId.toString()) {
+    return 'edit';
+  }
+
+  let level = resource.isPublic ? 'read' : null;
+
+  for (const grant of resource.sharedWith || []) {
+    const matchesUser = grant.user?.toString() === user.id;
+    const matchesTeam = teamId && grant.team?.toString() === teamId.toString();
+
+    if ((matchesUser || matchesTeam) && LEVELS.indexOf(grant.permission) > LEVELS.indexOf(level)) {
+      level = grant.permission;
+    }
+  }
+
+  return level;
+};
+
+/**
+ * Checks whether a user has at least the given access level
+ * @param {Object} resource - Document or AIModel
+ * @param {Object} user - Authenticated user
+ * @param {string} permission - 'read', 'use' or 'edit'
+ * @returns {boolean} True if access is allowed
+ */
+export const hasAccess = (resource, user, permission) => {
+  const level = getAccessLevel(resource, user);
+  return level !== null && LEVELS.indexOf(level) >= LEVELS.indexOf(permission);
+};
+
+/**
+ * Builds query conditions matching resources shared with a user
+ * @param {Object} user - Authenticated user
+ * @param {string} permission - Minimum permission, 'read' or 'use'
+ * @returns {Object} MongoDB condition on sharedWith
+ */
+const sharedWithCondition = (user, permission) => {
+  const grantees = [{ user: new mongoose.Types.ObjectId(user.id) }];
+  if (user.activeTeamId) {
+    grantees.push({ team: user.activeTeamId });
+  }
+
+  const permissions = SHARE_PERMISSIONS.slice(SHARE_PERMISSIONS.indexOf(permission));
+
+  return {
+    sharedWith: {
+      $elemMatch: {
+        $or: grantees,
+        permission: { $in: permissions }
+      }
+    }
+  };
+};
+
+/**
+ * Builds a query for listing the resources a user can see
+ * @param {Object} user - Authenticated user
+ * @param {string} scope - 'mine' (the active team's, or own personal ones
+ *   outside a team), 'shared', 'public' or 'all'
+ * @returns {Object} MongoDB query
+ */
+export const buildAccessQuery = (user, scope = 'mine') => {
+  const mine = user.activeTeamId
+    ? [{ team: user.activeTeamId }]
+    : [{ user: user.id, team: null }];
+
+  const scopes = {
+    mine,
+    shared: [sharedWithCondition(user, 'read')],
+    public: [{ isPublic: true }],
+    all: [...mine, sharedWithCondition(user, 'read'), { isPublic: true }]
+  };
+
+  return { $or: scopes[scope] || scopes.mine };
+};
@@ -0,0 +1,22 @@
+// API resources an API key can be scoped to, keyed by their /api/<resource> path
+const SCOPED_RESOURCES = ['documents', 'models', 'chat', 'teams', 'users'];
+
+export const API_SCOPES = SCOPED_RESOURCES.flatMap(resource => [`${resource}:read`, `${resource}:write`]);
+
+/**
+ * Returns the scope an API key needs for a request: `<resource>:read` for
+ * GET and HEAD, `<resource>:write` for everything else
+ * Routes outside SCOPED_RESOURCES (auth, API keys, payments) need a session
+ * @param {Object} req - Express request
+ * @returns {string|null} Required scope, or null if API keys are not allowed
+ */
+export const getRequiredScope = (req) => {
+  const [, resource] = req.originalUrl.split('?')[0].match(/^\/api\/([^/]+)/) || [];
+
+  if (!SCOPED_RESOURCES.includes(resource)) {
+    return null;
+  }
+
+  const access = ['GET', 'HEAD'].includes(req.method) ? 'read' : 'write';
+  return `${resource}:${access}`;
+};
@@ -33,6 +33,113 @@ const storage = multer.diskStorage({
   }
 });
 
+const isZipArchive = (buffer) => buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+
+/**
+ * Checks that a buffer looks like UTF-8 text rather than binary data
+ * @param {Buffer} buffer - Leading bytes of the file
+ * @returns {boolean} True if the bytes are valid UTF-8 without NUL bytes
+ */
+const isText = (buffer) => {
+  if (buffer.includes(0)) {
+    return false;
+  }
+  try {
+    // stream: true tolerates a multi-byte character cut off at the end of the sample
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Supported document types with their accepted extensions and signature checks
+const fileTypes = {
+  'application/pdf': {
+    extensions: ['.pdf'],
+    matchesSignature: buffer => buffer.subarray(0, 1024).includes('%PDF-')
+  },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': {
+    extensions: ['.docx'],
+    matchesSignature: isZipArchive
+  },
+  'text/plain': {
+    extensions: ['.txt', '.text'],
+    matchesSignature: isText
+  },
+  'text/markdown': {
+    extensions: ['.md', '.markdown'],
+    matchesSignature: isText
+  },
+  'text/html': {
+    extensions: ['.html', '.htm'],
+    matchesSignature: buffer => isText(buffer) && /<[a-z!]/i.test(buffer.toString('utf8'))
+  },
+  'text/csv': {
+    extensions: ['.csv'],
+    matchesSignature: isText
+  }
+};
+
+// Alternative MIME types sent by browsers and operating systems
+const mimeTypeAliases = {
+  'text/x-markdown': 'text/markdown',
+  'application/csv': 'text/csv',
+  'application/vnd.ms-excel': 'text/csv',
+  'application/xhtml+xml': 'text/html'
+};
+
+// MIME types that say nothing about the format; many clients send these for
+// Markdown and CSV files, so the type is taken from the extension instead
+const genericMimeTypes = ['text/plain', 'application/octet-stream', ''];
+
+/**
+ * Maps a client-supplied MIME type to one of the supported document types
+ * A generic MIME type resolves to the type of the file's extension; the
+ * contents are checked against it by verifyFileSignature after the upload.
+ * @param {string} mimeType - MIME type sent by the client
+ * @param {string} fileName - Original file name
+ * @returns {string|null} Canonical MIME type, or null if unsupported
+ */
+const resolveFileType = (mimeType, fileName) => {
+  const extension = path.extname(fileName || '').toLowerCase();
+
+  if (genericMimeTypes.includes(mimeType || '')) {
+    const match = Object.entries(fileTypes).find(([, fileType]) => fileType.extensions.includes(extension));
+    return match ? match[0] : null;
+  }
+
+  const type = mimeTypeAliases[mimeType] || mimeType;
+
+  if (!fileTypes[type] || !fileTypes[type].extensions.includes(extension)) {
+    return null;
+  }
+
+  return type;
+};
+
+/**
+ * Verifies that a stored file's leading bytes match its declared type
+ * @param {string} filePath - Path to the uploaded file
+ * @param {string} mimeType - Canonical MIME type
+ * @returns {Promise<boolean>} True if the file signature matches
+ */
+const verifyFileSignature = async (filePath, mimeType) => {
+  const fileType = fileTypes[mimeType];
+  if (!fileType) {
+    return false;
+  }
+
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(8192);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    return bytesRead > 0 && fileType.matchesSignature(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+};
+
 // Initialize multer upload
 const upload = multer({
   storage: storage,
@@ -40,11 +147,14 @@ const upload = multer({
     fileSize: process.env.MAX_FILE_SIZE || 10 * 1024 * 1024 // 10MB default
   },
   fileFilter: function (req, file, cb) {
-    // Accept only PDF files for now
-    if (file.mimetype === 'application/pdf') {
+    const type = resolveFileType(file.mimetype, file.originalname);
+
+    if (type) {
+      // Store the canonical type so aliases don't leak into Document.fileType
+      file.mimetype = type;
       cb(null, true);
     } else {
-      cb(createError('Only PDF files are allowed', 400), false);
+      cb(createError('Only PDF, DOCX, TXT, Markdown, HTML and CSV files are allowed', 400), false);
     }
   }
 });
@@ -62,4 +172,4 @@ const deleteFile = (filePath) => {
   return false;
 };
 
-export { upload, deleteFile }; 
\ No newline at end of file
+export { upload, deleteFile, resolveFileType, verifyFileSignature }; 
\ No newline at end of file
@@ -0,0 +1,70 @@
+// Team roles, highest first. The owner is `Team.owner`; the others are
+// `Team.members[].role`.
+export const TEAM_ROLES = ['owner', 'admin', 'member', 'viewer'];
+
+const ALL = TEAM_ROLES;
+const EDITORS = ['owner', 'admin', 'member'];
+const MANAGERS = ['owner', 'admin'];
+const OWNER = ['owner'];
+
+// Which team roles may perform each action. Viewers can read and chat but
+// not change anything.
+export const TEAM_PERMISSIONS = {
+  // Team
+  view_team: ALL,
+  update_team: OWNER,
+  delete_team: OWNER,
+  manage_members: MANAGERS,
+  change_member_roles: OWNER,
+  transfer_ownership: OWNER,
+  // The owner has to transfer ownership or delete the team instead
+  leave_team: ['admin', 'member', 'viewer'],
+
+  // Documents
+  view_documents: ALL,
+  upload_document: EDITORS,
+  edit_document: EDITORS,
+  delete_document: EDITORS,
+  share_document: EDITORS,
+
+  // AI models
+  view_models: ALL,
+  create_model: EDITORS,
+  edit_model: EDITORS,
+  train_model: EDITORS,
+  delete_model: EDITORS,
+  share_model: EDITORS,
+
+  // Chat
+  view_chats: ALL,
+  start_chat: ALL,
+  send_message: ALL,
+  manage_chats: EDITORS,
+
+  // Billing, paid for by the team owner
+  view_billing: MANAGERS,
+  manage_billing: OWNER
+};
+
+/**
+ * Returns a user's role in a team
+ * @param {Object} team - Team document
+ * @param {string} userId - User ID
+ * @returns {string|null} One of TEAM_ROLES, or null if not a member
+ */
+export const getTeamRole = (team, userId) => {
+  if (team.owner?.toString() === userId) {
+    return 'owner';
+  }
+
+  const member = team.members.find(member => (member.user?._id || member.user)?.toString() === userId);
+  return member ? member.role : null;
+};
+
+/**
+ * Checks whether a team role may perform an action
+ * @param {string} role - One of TEAM_ROLES
+ * @param {string} action - Key of TEAM_PERMISSIONS
+ * @returns {boolean} True if allowed
+ */
+export const teamRoleCan = (role, action) => Boolean(TEAM_PERMISSIONS[action]?.includes(role));
@@ -0,0 +1,28 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Tenant a piece of work runs for. Queries on tenant-scoped models read it
+// from here (see models/plugins/tenantScope.js), so it follows the request
+// through every await without being passed around.
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs a function on behalf of a tenant
+ * @param {string|null} tenantId - Business account ID, or null for individual accounts
+ * @param {Function} fn - Work to run
+ * @returns {*} Result of fn
+ */
+export const runWithTenant = (tenantId, fn) => storage.run({ tenantId: tenantId ?? null }, fn);
+
+/**
+ * Runs a function outside tenant scoping, for trusted background work such as
+ * job handlers, startup recovery and migration scripts
+ * @param {Function} fn - Work to run
+ * @returns {*} Result of fn
+ */
+export const runAsSystem = (fn) => storage.run({ system: true }, fn);
+
+/**
+ * Returns the current tenant context
+ * @returns {Object|undefined} { tenantId } or { system: true }; undefined outside both
+ */
+export const getTenantContext = () => storage.getStore();